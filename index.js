@@ -50,7 +50,97 @@ const getPackageRoot = (packageImport, rootPath) => {
     return path.dirname(pkgJsonPath);
 };
 
-const isDir = (path) => fsSync.statSync(path).isDirectory();
+/**
+ * Watch a directory and its sub-directories, including the ones created or renamed later.
+ * Each directory has a watcher of its own, as recursive fs.watch is not supported or reliable on some linux setups.
+ * @param {string} rootDir
+ * @param {(fullPath: string|null) => void} onChange - Called on any change, with the changed path if known.
+ * @returns {{ close: () => void }}
+ */
+function watchDirectoryTree(rootDir, onChange) {
+    const watchers = new Map();
+
+    const unwatch = (fullPath) => {
+        watchers.forEach((watcher, dir) => {
+            if (dir === fullPath || dir.startsWith(fullPath + path.sep)) {
+                watcher.close();
+                watchers.delete(dir);
+            }
+        });
+    };
+
+    const watchDir = (dir) => {
+        if (watchers.has(dir)) {
+            return;
+        }
+
+        let watcher;
+        let entries;
+        try {
+            watcher = fsSync.watch(dir, (eventType, filename) => {
+                const fullPath = filename ? path.join(dir, filename.toString()) : null;
+                if (fullPath) {
+                    // a created or renamed directory is watched, a removed one is not any more
+                    let stats = null;
+                    try {
+                        stats = fsSync.statSync(fullPath);
+                    } catch {}
+                    if (stats?.isDirectory()) {
+                        watchDir(fullPath);
+                    } else {
+                        unwatch(fullPath);
+                    }
+                }
+                onChange(fullPath);
+            });
+            entries = fsSync.readdirSync(dir, { withFileTypes: true });
+        } catch {
+            // removed before it is watched
+            watcher?.close();
+            return;
+        }
+
+        // e.g. the directory is removed
+        watcher.on('error', () => unwatch(dir));
+        watchers.set(dir, watcher);
+
+        entries.filter((entry) => entry.isDirectory()).forEach((entry) => watchDir(path.join(dir, entry.name)));
+    };
+
+    watchDir(rootDir);
+
+    return {
+        close() {
+            watchers.forEach((watcher) => watcher.close());
+            watchers.clear();
+        },
+    };
+}
+
+/**
+ * Get the lib exporting the static router apis, react-router-dom v6 has them in "react-router-dom/server".
+ */
+const getServerRouterLib = (reactRouterLib, rootPath) => {
+    try {
+        resolve.sync(`${reactRouterLib}/server`, { basedir: rootPath });
+        return `${reactRouterLib}/server`;
+    } catch {
+        return reactRouterLib;
+    }
+};
+
+/**
+ * Write a file only if its content changes, so that watchers are not triggered by no-op writes.
+ * @returns {Promise<boolean>} Whether the file is written.
+ */
+const writeFileIfChanged = async (file, content) => {
+    if (fsSync.existsSync(file) && (await fs.readFile(file, 'utf-8')) === content) {
+        return false;
+    }
+
+    await fs.writeFile(file, content, 'utf-8');
+    return true;
+};
 
 const copyAssets = (list, srcBase, destBase, fromEntity) => {
     if (list) {
@@ -70,6 +160,435 @@ const copyAssets = (list, srcBase, destBase, fromEntity) => {
     }
 };
 
+// schemas of grafton-app.json and grafton-module.json,
+// unknown keys of an "open" object are passed through, e.g. into the runtime config
+const stringArraySchema = { type: 'array', items: { type: 'string' } };
+
+// the source file => the destination file(s)
+const assetsSchema = {
+    type: 'object',
+    additionalProperties: { type: ['string', 'array'], items: { type: 'string' } },
+};
+
+const subModuleSchema = {
+    type: 'object',
+    required: ['importPath', 'mode'],
+    properties: {
+        enabled: { type: 'boolean' },
+        mode: { type: 'string', enum: ['builtin', 'package', 'assets', 'app'] },
+        importPath: { type: 'string' },
+        module: { type: 'string' },
+        label: { type: 'string' },
+        path: { type: 'string' },
+        url: { type: 'string' },
+        defaultRoute: { type: 'string' },
+        isLazy: { type: 'boolean' },
+        auth: { type: 'boolean' },
+        roles: stringArraySchema,
+        i18n: stringArraySchema,
+        i18nExtracts: { type: 'object', additionalProperties: { type: 'string' } },
+    },
+};
+
+const graftonAppSchema = {
+    type: 'object',
+    open: true,
+    required: ['app', 'i18n', 'svgIcons', 'subModules'],
+    properties: {
+        app: {
+            type: 'object',
+            open: true,
+            required: ['name'],
+            properties: {
+                name: { type: 'string' },
+                pathLogin: { type: 'string' },
+                pathLanding: { type: 'string' },
+                pathError: { type: 'string' },
+                pathLogout: { type: 'string' },
+                ..._.mapValues(oldAppKeys, () => ({ type: 'string' })),
+            },
+        },
+        i18n: {
+            type: 'object',
+            open: true,
+            required: ['ns'],
+            properties: {
+                ns: stringArraySchema,
+                defaultNS: { type: 'string' },
+                supportedLngs: stringArraySchema,
+                fallbackLng: { type: ['string', 'array', 'object'] },
+            },
+        },
+        svgIcons: {
+            type: 'object',
+            open: true,
+            properties: {
+                iconDirs: stringArraySchema,
+                symbolId: { type: 'string' },
+                symbolIdPrefix: { type: 'string' },
+            },
+        },
+        tailwind: {
+            type: 'object',
+            properties: {
+                content: stringArraySchema,
+                colors: { type: 'object', open: true },
+            },
+        },
+        sitemap: {
+            type: 'object',
+            open: true,
+            required: ['module'],
+            properties: {
+                module: { type: 'string' },
+                label: { type: 'string' },
+                path: { type: 'string' },
+                defaultPage: { type: 'string' },
+            },
+        },
+        assets: assetsSchema,
+        subModules: { type: 'array', items: subModuleSchema },
+    },
+};
+
+const graftonModuleSchema = {
+    type: 'object',
+    properties: {
+        assets: assetsSchema,
+    },
+};
+
+/**
+ * Edit distance counting a swap of adjacent letters as one edit, e.g. "mdoe" => "mode".
+ */
+const editDistance = (a, b) => {
+    const d = _.range(a.length + 1).map((i) => [i]);
+    _.range(b.length + 1).forEach((j) => (d[0][j] = j));
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+};
+
+/**
+ * Find the closest candidate of a misspelled name, e.g. "mdoe" => "mode".
+ * @returns {string|undefined}
+ */
+const didYouMean = (name, candidates) => {
+    const maxDistance = Math.max(1, Math.floor(name.length / 3));
+    const [closest] = _.sortBy(
+        candidates
+            .map((candidate) => ({
+                candidate,
+                distance: editDistance(name.toLowerCase(), candidate.toLowerCase()),
+            }))
+            .filter(({ distance }) => distance <= maxDistance),
+        'distance'
+    );
+    return closest?.candidate;
+};
+
+const getValueType = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+// e.g. subModules[0].mode, assets["logo.svg"]
+const joinJsonPath = (jsonPath, key) =>
+    typeof key === 'number'
+        ? `${jsonPath}[${key}]`
+        : !/^[A-Za-z_$][\w$]*$/.test(key)
+          ? `${jsonPath}[${JSON.stringify(key)}]`
+          : jsonPath
+            ? `${jsonPath}.${key}`
+            : key;
+
+/**
+ * Validate a json value against a schema, all problems are collected instead of thrown.
+ * An unknown key of a closed object is an error, the one of an open object is a warning if it looks like a misspelled known key.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} jsonPath - e.g. "subModules[0].mode"
+ * @param {Array<{ path: string, message: string, warning?: boolean }>} problems
+ */
+function validateSchema(value, schema, jsonPath, problems) {
+    const report = (message, key = null) =>
+        problems.push({ path: key == null ? jsonPath || '(root)' : joinJsonPath(jsonPath, key), message });
+
+    const valueType = getValueType(value);
+    const types = _.castArray(schema.type);
+
+    if (!types.includes(valueType)) {
+        report(`expected ${types.join(' or ')}, got ${valueType}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        const suggestion = didYouMean(String(value), schema.enum);
+        report(
+            `"${value}" is not one of ${schema.enum.map((item) => `"${item}"`).join(', ')}` +
+                (suggestion ? `, did you mean "${suggestion}"?` : '')
+        );
+    }
+
+    if (valueType === 'array' && schema.items) {
+        value.forEach((item, index) => validateSchema(item, schema.items, joinJsonPath(jsonPath, index), problems));
+    }
+
+    if (valueType === 'object') {
+        const properties = schema.properties || {};
+        const knownKeys = Object.keys(properties);
+
+        schema.required?.forEach((key) => {
+            if (value[key] == null) {
+                report('is required', key);
+            }
+        });
+
+        _.each(value, (propValue, key) => {
+            const propPath = joinJsonPath(jsonPath, key);
+
+            if (properties[key]) {
+                validateSchema(propValue, properties[key], propPath, problems);
+            } else if (schema.additionalProperties) {
+                validateSchema(propValue, schema.additionalProperties, propPath, problems);
+            } else {
+                const suggestion = didYouMean(key, knownKeys);
+                if (schema.open) {
+                    // passed through, might be intended
+                    if (suggestion) {
+                        problems.push({
+                            path: propPath,
+                            message: `is unknown, did you mean "${suggestion}"?`,
+                            warning: true,
+                        });
+                    }
+                } else if (suggestion) {
+                    report(`is unknown, did you mean "${suggestion}"?`, key);
+                } else {
+                    const expected = knownKeys.map((knownKey) => `"${knownKey}"`).join(', ');
+                    report(`is unknown` + (expected ? `, expected one of ${expected}` : ''), key);
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Rules across the keys of a sub-module, which the schema can not describe.
+ */
+function validateSubModule(module, jsonPath, problems) {
+    const report = (key, message) => problems.push({ path: joinJsonPath(jsonPath, key), message });
+
+    if (typeof module.path === 'string' && !module.path.startsWith('/')) {
+        report('path', 'must start with "/"');
+    }
+
+    // a missing or unknown mode is reported by the schema
+    if (!subModuleSchema.properties.mode.enum.includes(module.mode)) {
+        return;
+    }
+
+    if (typeof module.importPath === 'string') {
+        if (module.mode === 'builtin') {
+            if (!isLocalModule(module)) {
+                report('importPath', 'must be a path relative to "src" for a "builtin" module');
+            }
+        } else if (isLocalModule(module)) {
+            report('importPath', `must be a package name for a "${module.mode}" module`);
+        }
+    }
+
+    if ((module.mode === 'builtin' || module.mode === 'package') && module.path == null) {
+        report('path', `is required for a "${module.mode}" module`);
+    }
+
+    if (module.i18n && module.mode !== 'package' && module.mode !== 'assets') {
+        report('i18n', 'is only supported by "package" and "assets" mode, use "i18nExtracts" for "builtin" mode');
+    }
+
+    if (module.i18nExtracts && module.mode !== 'builtin') {
+        report('i18nExtracts', 'is only supported by "builtin" mode, use "i18n" for "package" and "assets" mode');
+    }
+}
+
+/**
+ * Report the source files of an assets map not found, the map is valid against assetsSchema.
+ */
+const checkAssetSources = (assets, srcBase, jsonPath, problems) =>
+    _.each(assets, (dest, src) => {
+        if (!fsSync.existsSync(path.resolve(srcBase, src))) {
+            problems.push({ path: joinJsonPath(jsonPath, src), message: 'source file is not found' });
+        }
+    });
+
+const formatProblems = (problems) =>
+    problems.map(({ file, path: jsonPath, message }) => `  - ${file}: ${jsonPath} ${message}`).join('\n');
+
+/**
+ * Validate grafton-app.json (merged with grafton-app.local.json) and the grafton-module.json of each enabled sub-module,
+ * which must have a sitemap.json unless in "assets" mode.
+ * Throws with all the errors found, before anything is copied or written.
+ * @param {object} graftonConfig - The merged config.
+ * @param {object} [localConfig] - The config of grafton-app.local.json, its keys are reported against that file.
+ * @param {string} [mainRoot]
+ */
+function validateGraftonConfig(graftonConfig, localConfig, mainRoot = 'src') {
+    const problems = [];
+    const fileOf = (jsonPath) =>
+        localConfig && _.has(localConfig, jsonPath.split(/[.[]/)[0]) ? graftonAppLocalConfigFile : graftonAppConfigFile;
+
+    const appProblems = [];
+    validateSchema(graftonConfig, graftonAppSchema, '', appProblems);
+
+    const subModules = Array.isArray(graftonConfig.subModules) ? graftonConfig.subModules : [];
+    const mountPaths = {};
+
+    subModules.forEach((module, index) => {
+        if (getValueType(module) !== 'object') {
+            return;
+        }
+
+        const jsonPath = `subModules[${index}]`;
+        validateSubModule(module, jsonPath, appProblems);
+
+        if (module.enabled && typeof module.path === 'string' && module.mode !== 'assets' && module.mode !== 'app') {
+            if (mountPaths[module.path]) {
+                appProblems.push({
+                    path: `${jsonPath}.path`,
+                    message: `duplicates the one of ${mountPaths[module.path]}`,
+                });
+            } else {
+                mountPaths[module.path] = jsonPath;
+            }
+        }
+    });
+
+    if (!appProblems.some((problem) => problem.path.startsWith('assets'))) {
+        checkAssetSources(graftonConfig.assets, process.cwd(), 'assets', appProblems);
+    }
+
+    problems.push(...appProblems.map((problem) => ({ file: fileOf(problem.path), ...problem })));
+
+    // module names of the merged sitemaps
+    const moduleNames = graftonConfig.sitemap?.module ? { [graftonConfig.sitemap.module]: 'sitemap.module' } : {};
+
+    const checkModuleSitemap = (sitemapPath, module, jsonPath) => {
+        const file = path.relative(process.cwd(), sitemapPath);
+        let moduleSitemap;
+        try {
+            moduleSitemap = readModuleSitemap(sitemapPath, module);
+        } catch (error) {
+            problems.push({ file, path: '(root)', message: `is not valid json, ${error.message}` });
+            return;
+        }
+
+        // the keys set by the sub-module are reported against the app config
+        const report = (key, message) =>
+            problems.push(
+                key in module
+                    ? { file: fileOf(jsonPath), path: `${jsonPath}.${key}`, message }
+                    : { file, path: key, message: `${message}, or set "${key}" of ${jsonPath}` }
+            );
+
+        if (!moduleSitemap.module) {
+            report('module', 'is required');
+        } else if (moduleNames[moduleSitemap.module]) {
+            report(
+                'module',
+                `"${moduleSitemap.module}" duplicates the module name of ${moduleNames[moduleSitemap.module]}`
+            );
+        } else {
+            moduleNames[moduleSitemap.module] = jsonPath;
+        }
+
+        if (module.mode === 'app') {
+            if (!moduleSitemap.url) {
+                report('url', 'is required for an "app" module');
+            }
+        } else if (!moduleSitemap.path && module.mode === 'assets') {
+            // the path of "builtin" and "package" modules is required by validateSubModule()
+            report('path', 'is required for an "assets" module with a sitemap');
+        }
+    };
+
+    // the module files of the enabled modules with a valid mode and import path
+    const rootPath = path.resolve(mainRoot);
+    const moduleConfigFiles = new Set();
+    subModules.forEach((module, index) => {
+        const jsonPath = `subModules[${index}]`;
+        if (
+            !module?.enabled ||
+            appProblems.some(
+                (problem) => problem.path === `${jsonPath}.importPath` || problem.path === `${jsonPath}.mode`
+            )
+        ) {
+            return;
+        }
+
+        let moduleRoot;
+        try {
+            moduleRoot = isLocalModule(module)
+                ? path.join(rootPath, module.importPath)
+                : getPackageRoot(module.importPath, rootPath);
+        } catch (error) {
+            problems.push({
+                file: fileOf(jsonPath),
+                path: `${jsonPath}.importPath`,
+                message: `can not be resolved, ${error.message}`,
+            });
+            return;
+        }
+
+        const sitemapPath = path.resolve(moduleRoot, 'sitemap.json');
+        if (fsSync.existsSync(sitemapPath)) {
+            checkModuleSitemap(sitemapPath, module, jsonPath);
+        } else if (module.mode !== 'assets') {
+            problems.push({
+                file: fileOf(jsonPath),
+                path: `${jsonPath}.importPath`,
+                message: `has no "sitemap.json", which is required for a "${module.mode}" module`,
+            });
+        }
+
+        const moduleConfigFile = path.resolve(moduleRoot, 'grafton-module.json');
+        if (moduleConfigFiles.has(moduleConfigFile) || !fsSync.existsSync(moduleConfigFile)) {
+            return;
+        }
+        moduleConfigFiles.add(moduleConfigFile);
+
+        const file = path.relative(process.cwd(), moduleConfigFile);
+        let moduleConfig;
+        try {
+            moduleConfig = JSON.parse(fsSync.readFileSync(moduleConfigFile, 'utf-8'));
+        } catch (error) {
+            problems.push({ file, path: '(root)', message: `is not valid json, ${error.message}` });
+            return;
+        }
+
+        const moduleProblems = [];
+        validateSchema(moduleConfig, graftonModuleSchema, '', moduleProblems);
+        if (moduleProblems.length === 0) {
+            checkAssetSources(moduleConfig.assets, moduleRoot, 'assets', moduleProblems);
+        }
+        problems.push(...moduleProblems.map((problem) => ({ file, ...problem })));
+    });
+
+    const [warnings, errors] = _.partition(problems, 'warning');
+
+    if (warnings.length > 0) {
+        console.warn(`Suspicious grafton config:\n${formatProblems(warnings)}`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid grafton config, ${errors.length} problem(s) found:\n${formatProblems(errors)}`);
+    }
+}
+
 const generateRuntimeConfig = (
     i18nNamespaces,
     { app, i18n, svgIcons, tailwind, subModules, ...others },
@@ -135,8 +654,18 @@ const generateRuntimeConfig = (
 
     fsSync.writeFileSync('./src/runtime.config.json', JSON.stringify(runtimeConfig, null, 2));
     console.log('Generated "./src/runtime.config.json"');
+
+    return runtimeConfig;
 };
 
+/**
+ * Read the sitemap.json of a sub-module, with the module, label, path and url of the sub-module config.
+ */
+const readModuleSitemap = (sitemapPath, module) => ({
+    ...JSON.parse(fsSync.readFileSync(sitemapPath, 'utf-8')),
+    ..._.pick(module, ['module', 'label', 'path', 'url']),
+});
+
 const processSubModules = (subModules, rootSitemap, mainRoot = 'src') => {
     const rootPath = path.resolve(mainRoot);
 
@@ -148,71 +677,33 @@ const processSubModules = (subModules, rootSitemap, mainRoot = 'src') => {
 
     subModules.forEach((module) => {
         if (module.enabled) {
+            // the mode, import path and i18n settings are checked by validateGraftonConfig()
             const isLocal = isLocalModule(module);
 
-            if (module.mode === 'builtin') {
-                if (!isLocal) {
-                    throw new Error(
-                        `Built-in module path must be a relative path to "${mainRoot}". Module: ${module.importPath}`
-                    );
-                }
-            } else {
-                if (isLocal) {
-                    throw new Error(`External module path must be a package name. Module: ${module.importPath}`);
-                }
-            }
-
             // merge sitemap and extract sub-routers settings
             const moduleRoot = isLocal
                 ? path.join(rootPath, module.importPath)
                 : getPackageRoot(module.importPath, rootPath);
             const sitemapPath = path.resolve(moduleRoot, 'sitemap.json');
 
+            // a missing sitemap, the module name, url and path are checked by validateGraftonConfig() as well
             if (fsSync.existsSync(sitemapPath)) {
-                let _sitemap = JSON.parse(fsSync.readFileSync(sitemapPath, 'utf-8'));
-                const overrideInfo = _.pick(module, ['module', 'label', 'path', 'url']);
-                Object.assign(_sitemap, overrideInfo);
+                const _sitemap = readModuleSitemap(sitemapPath, module);
 
                 if (module.defaultRoute) {
                     _sitemap.defaultPage = module.defaultRoute;
                 }
 
-                if (sitemap[_sitemap.module]) {
-                    throw new Error(`Duplicate module name: ${_sitemap.module}`);
-                }
-
                 sitemap[_sitemap.module] = _sitemap;
-
-                if (module.mode === 'app') {
-                    if (!_sitemap.url) {
-                        throw new Error(`"url" is required for micro-app submodule: ${_sitemap.module}`);
-                    }
-                } else {
-                    if (!_sitemap.path) {
-                        throw new Error(`"path" is required for non-independent submodule: ${_sitemap.module}`);
-                    }
-                }
             }
 
             if (module.mode !== 'app') {
                 if (module.i18n) {
-                    if (module.mode === 'package' || module.mode === 'assets') {
-                        module.i18n.forEach((ns) => i18nNamespaces.add(ns));
-                        i18nToCopy.push(`./node_modules/${module.importPath}`);
-                    } else {
-                        throw new Error(
-                            `"i18n" is only supported by "package" and "assets" mode. Module: ${module.importPath}`
-                        );
-                    }
+                    module.i18n.forEach((ns) => i18nNamespaces.add(ns));
+                    i18nToCopy.push(`./node_modules/${module.importPath}`);
                 } else if (module.i18nExtracts) {
-                    if (module.mode === 'builtin') {
-                        Object.keys(module.i18nExtracts).forEach((ns) => i18nNamespaces.add(ns));
-                        i18nToExtract.push(_.mapValues(module.i18nExtracts, (value) => path.join(mainRoot, value)));
-                    } else {
-                        throw new Error(
-                            `"i18nExtracts" is only supported for "builtin" mode. Module: ${module.importPath}`
-                        );
-                    }
+                    Object.keys(module.i18nExtracts).forEach((ns) => i18nNamespaces.add(ns));
+                    i18nToExtract.push(_.mapValues(module.i18nExtracts, (value) => path.join(mainRoot, value)));
                 }
 
                 if (module.mode !== 'assets') {
@@ -220,9 +711,9 @@ const processSubModules = (subModules, rootSitemap, mainRoot = 'src') => {
                         importPath: module.importPath,
                         defaultRoute: module.defaultRoute,
                         isLazy: module.isLazy,
+                        // route guards of the sub-router
+                        ..._.pick(module, ['auth', 'roles']),
                     };
-                } else if (module.mode !== 'assets') {
-                    throw new Error(`"sitemap.json" not found in "${module.mode}" module "${module.importPath}"`);
                 }
 
                 // copy assets into main app
@@ -239,31 +730,126 @@ const processSubModules = (subModules, rootSitemap, mainRoot = 'src') => {
         }
     });
 
-    fsSync.writeFileSync(
-        './public/sitemap.json',
-        JSON.stringify(
-            _.reduce(
-                sitemap,
-                (result, obj) => {
-                    result.push(obj);
-                    return result;
-                },
-                []
-            ),
-            null,
-            2
-        )
-    );
+    const moduleSitemaps = Object.values(sitemap);
+
+    fsSync.writeFileSync('./public/sitemap.json', JSON.stringify(moduleSitemaps, null, 2));
     console.log('Sitemap generated in "./public/sitemap.json"');
 
     return {
         subRouters,
+        moduleSitemaps,
         i18nToCopy,
         i18nToExtract,
         i18nNamespaces: Array.from(i18nNamespaces),
     };
 };
 
+const readJsonFiles = async (dir) =>
+    (await fs.readdir(dir, { withFileTypes: true }))
+        .filter((entry) => entry.isFile() && entry.name.endsWith('.json'))
+        .map((entry) => entry.name);
+
+/**
+ * Collect the locale files of sub-modules, from "<dir>/locales/<lng>/<ns>.json" of the directories to copy, e.g. of
+ * packages, and from "<dir>/<lng>.json" of the namespaces to extract, e.g. { editor: 'src/modules/editor/locales' }.
+ * @param {string[]} copy - e.g. i18nToCopy of processSubModules()
+ * @param {Array<object>} extract - e.g. i18nToExtract of processSubModules()
+ * @returns {Promise<Array<{ lng: string, ns: string, file: string, source: string }>>}
+ */
+async function collectLocaleFiles(copy, extract) {
+    const localeFiles = [];
+
+    for (const source of copy) {
+        const localesDir = path.join(source, 'locales');
+        if (!fsSync.existsSync(localesDir)) {
+            continue;
+        }
+
+        const lngs = (await fs.readdir(localesDir, { withFileTypes: true })).filter((entry) => entry.isDirectory());
+        for (const { name: lng } of lngs) {
+            (await readJsonFiles(path.join(localesDir, lng))).forEach((fileName) => {
+                localeFiles.push({
+                    lng,
+                    ns: path.basename(fileName, '.json'),
+                    file: path.join(localesDir, lng, fileName),
+                    source,
+                });
+            });
+        }
+    }
+
+    for (const namespaces of extract) {
+        for (const [ns, source] of Object.entries(namespaces)) {
+            if (!fsSync.existsSync(source)) {
+                throw new Error(`The locales directory "${source}" of the i18n namespace "${ns}" is not found.`);
+            }
+
+            (await readJsonFiles(source)).forEach((fileName) => {
+                localeFiles.push({
+                    lng: path.basename(fileName, '.json'),
+                    ns,
+                    file: path.join(source, fileName),
+                    source,
+                });
+            });
+        }
+    }
+
+    return localeFiles;
+}
+
+// e.g. { a: { b: 'x' } } to { 'a.b': 'x' }
+const flattenKeys = (data, prefix = '') =>
+    _.reduce(
+        data,
+        (result, value, key) =>
+            _.isPlainObject(value)
+                ? { ...result, ...flattenKeys(value, `${prefix}${key}.`) }
+                : { ...result, [`${prefix}${key}`]: value },
+        {}
+    );
+
+/**
+ * Merge the locale files into resources keyed by "<lng>/<ns>", a namespace provided by several sub-modules is merged
+ * and its keys of different values are conflicts.
+ * @param {Array<{ lng: string, ns: string, file: string, source: string }>} localeFiles
+ * @returns {Promise<{ resources: object, namespaces: string[], errors: string[] }>}
+ */
+async function mergeLocaleFiles(localeFiles) {
+    const resources = {};
+    const errors = [];
+
+    for (const [key, files] of Object.entries(_.groupBy(localeFiles, ({ lng, ns }) => `${lng}/${ns}`))) {
+        const { lng, ns } = files[0];
+        const owners = {};
+
+        for (const { file, source } of files) {
+            let data;
+            try {
+                data = JSON.parse(await fs.readFile(file, 'utf-8'));
+            } catch (error) {
+                errors.push(`Invalid locale file "${file}": ${error.message}`);
+                continue;
+            }
+
+            _.each(flattenKeys(data), (value, flatKey) => {
+                const owner = owners[flatKey];
+                if (owner && owner.source !== source && !_.isEqual(owner.value, value)) {
+                    errors.push(
+                        `Key "${flatKey}" of the i18n namespace "${ns}" (${lng}) is defined by both "${owner.source}" and "${source}".`
+                    );
+                } else if (!owner) {
+                    owners[flatKey] = { source, value };
+                }
+            });
+
+            resources[key] = _.merge(resources[key] || {}, data);
+        }
+    }
+
+    return { resources, namespaces: _.uniq(_.map(localeFiles, 'ns')), errors };
+}
+
 function getPackageMajorVersion(pkgJson, pkg) {
     // Merge dependencies and devDependencies
     const allDeps = {
@@ -288,9 +874,12 @@ export function processGraftonAppConfig() {
     if (isGraftonApp) {
         const hasLocal = fsSync.existsSync(graftonAppLocalConfigFile);
         const graftonConfig = JSON.parse(fsSync.readFileSync(graftonAppConfigFile, 'utf-8'));
-        if (hasLocal) {
-            Object.assign(graftonConfig, JSON.parse(fsSync.readFileSync(graftonAppLocalConfigFile, 'utf-8')))
-        }        
+        const localConfig = hasLocal ? JSON.parse(fsSync.readFileSync(graftonAppLocalConfigFile, 'utf-8')) : null;
+        if (localConfig) {
+            Object.assign(graftonConfig, localConfig);
+        }
+
+        validateGraftonConfig(graftonConfig, localConfig);
 
         const { subModules, svgIcons, assets, sitemap } = graftonConfig;
 
@@ -299,14 +888,29 @@ export function processGraftonAppConfig() {
             copyAssets(assets, cwd, cwd);
         }
 
-        const { subRouters, i18nToCopy, i18nToExtract, i18nNamespaces } = processSubModules(subModules, sitemap);
+        const { subRouters, moduleSitemaps, i18nToCopy, i18nToExtract, i18nNamespaces } = processSubModules(
+            subModules,
+            sitemap
+        );
 
-        generateRuntimeConfig(i18nNamespaces, graftonConfig, pkgJson);
+        const { pathLogin } = generateRuntimeConfig(i18nNamespaces, graftonConfig, pkgJson);
+        const { i18n } = graftonConfig;
 
         return {
             subRouters,
+            moduleSitemaps,
+            pathLogin,
+            // languages of the i18n config for the i18nRouting option
+            i18nRouting: Array.isArray(i18n.supportedLngs)
+                ? {
+                      languages: i18n.supportedLngs.filter((lang) => lang !== 'cimode'),
+                      defaultLanguage: typeof i18n.fallbackLng === 'string' ? i18n.fallbackLng : undefined,
+                  }
+                : undefined,
             i18nToCopy,
             i18nToExtract,
+            // locales of sub-modules served by the plugin, with the namespaces of the app
+            i18nResources: { copy: i18nToCopy, extract: i18nToExtract, ns: i18n.ns },
             svgIcons,
         };
     }
@@ -349,526 +953,650 @@ export default function generateRoutesPlugin(options = {}) {
         subRouters,
         enabled = true,
         enableSentry = false,
+        extensions: _extensions = DEFAULT_EXTENSIONS,
+        enableDataApi = true,
+        manifest = false,
+        virtualModule = false,
+        sourceMap = false,
+        routerType = 'browser',
+        routerOptions = {},
+        routerOptionsModule,
+        exportRoutesOnly = false,
+        ssr = false,
+        prerender = false,
+        sitemap = false,
+        siteUrl,
+        modulePreload = false,
+        auth,
+        redirects: redirectsOption,
+        i18nRouting,
+        moduleSitemaps,
+        i18nResources,
     } = options;
 
+    if (sitemap && !siteUrl) {
+        throw new Error('The "siteUrl" option is required to generate sitemap.xml.');
+    }
+
     const rootPath = path.resolve(root);
+    const basename = routerOptions.basename || '/';
+    const serverRouterLib = options.serverRouterLib || getServerRouterLib(reactRouterLib, rootPath);
+    const extensions = normalizeExtensions(_extensions);
 
     const moduleMap = {};
+    // scanned route trees, keyed by routes path
+    const routeTrees = {};
+    // generated code and source map of virtual modules, keyed by module id
+    const virtualModules = {};
+    // root directories of package sub-routers, keyed by mount path, "@package@" imports of their files refer to the package
+    const packageRoots = {};
+    let server;
+    let viteConfig;
+
+    const getVirtualModuleId = (mountPath) => (mountPath ? VIRTUAL_ROUTES_ID + mountPath : VIRTUAL_ROUTES_ID);
+
+    const getPackageSourcePath = (routeInfo) => {
+        const packageRoot = getPackageRoot(routeInfo.importPath, rootPath);
+        return routeInfo.root ? path.join(packageRoot, routeInfo.root) : packageRoot;
+    };
+
+    const getSubRouterSourcePath = (key) => {
+        const routeInfo = subRouters[key];
+
+        if (isLocalModule(routeInfo)) {
+            return path.join(root, routeInfo.importPath);
+        }
+
+        // package pages are used in place from node_modules
+        return path.relative(process.cwd(), getPackageSourcePath(routeInfo));
+    };
+
+    // the generated module of a package sub-router is written into runtimePagesDir, not into the package
+    const getSubRouterOutputPath = (key) =>
+        isLocalModule(subRouters[key])
+            ? getSubRouterSourcePath(key)
+            : path.join(root, runtimePagesDir, _.kebabCase(key));
+
+    // modules relative to root are imported relative to the generated module, or as absolute paths by virtual modules
+    const resolveRootImport = (importPath, outputDir) =>
+        importPath?.startsWith('.')
+            ? resolveImportPath(rootPath, importPath, outputDir && path.resolve(outputDir))
+            : importPath;
+
+    const getAuthOptions = (outputDir) =>
+        auth && {
+            ...auth,
+            useAuth: resolveRootImport(auth.useAuth, outputDir),
+            forbidden: resolveRootImport(auth.forbidden, outputDir),
+        };
+
     let routesPattern = routesDir.startsWith('/') ? routesDir : `/${routesDir}`;
     routesPattern = routesPattern.endsWith('/') ? routesPattern : `${routesPattern}/`;
 
-    // visit all pages
-    async function visitPages(dir, handleRouteFile, handleDir) {
-        let entries = await fs.readdir(dir, { withFileTypes: true });
+    /**
+     * Build routes from the directory and generate the routes file.
+     * @param {*} sourcePath
+     * @param {*} isRoot
+     * @param {*} mountPath - The mount path of a sub-router
+     */
+    async function buildRoutesFromDirectory(sourcePath, isRoot, mountPath) {
+        const routesPath = path.resolve(sourcePath, routesDir);
+        moduleMap[routesPath] = { sourcePath, isRoot, mountPath };
 
-        for (const entry of entries) {
-            const fullPath = path.join(dir, entry.name);
+        const outputPath = isRoot ? sourcePath : getSubRouterOutputPath(mountPath);
+        const relOutputFile = isRoot
+            ? path.join(outputPath, 'router.runtime.jsx')
+            : path.join(outputPath, 'sub-routes.runtime.jsx');
+
+        const routes = await scanRoutes(routesPath, {
+            routesDir,
+            extensions,
+            enableDataApi,
+            reactRouterLib,
+            reservedNames: isRoot
+                ? _.flatMap(_.keys(subRouters), (key) => {
+                      const componentName = getSubRouterComponentName(key);
+                      return [componentName, `lazy${componentName}`, `subRoutes${componentName}`];
+                  })
+                : [],
+        });
+        const redirects = await loadRedirects(sourcePath, isRoot, mountPath);
+        routeTrees[routesPath] = { routes, isRoot, mountPath, redirects };
 
-            if (entry.isDirectory()) {
-                await handleDir(fullPath);
-                await visitPages(fullPath, handleRouteFile, handleDir);
-            } else if (entry.isFile() && isRouteFile(entry.name)) {
-                await handleRouteFile(fullPath);
+        const renderOptions = {
+            isRoot,
+            subRouters,
+            enableSentry,
+            reactRouterLib,
+            routerType,
+            routerOptions,
+            routerOptionsModule: resolveRootImport(routerOptionsModule, virtualModule ? null : outputPath),
+            exportRoutesOnly,
+            serverRouterLib,
+            auth: getAuthOptions(virtualModule ? null : outputPath),
+            i18nRouting,
+            // paths of a sub-router are relative to its mount path, targets are absolute
+            redirects: _.fromPairs(
+                redirects.map(({ from, to, replace }) => [
+                    isRoot ? from : from.substring(mountPath.length) || '/',
+                    { to, replace },
+                ])
+            ),
+            sourceMap: true,
+        };
+        const withServerEntry = isRoot && (ssr || prerender);
+
+        if (virtualModule) {
+            const moduleId = getVirtualModuleId(isRoot ? null : mountPath);
+            const virtualOptions = {
+                ...renderOptions,
+                subRouterImports: _.mapValues(subRouters, (routeInfo, key) => getVirtualModuleId(key)),
+                importBase: path.resolve(sourcePath),
+                jsx: false,
+            };
+
+            const { code, map } = renderRoutes(routes, virtualOptions);
+
+            if (virtualModules[moduleId]?.code !== code) {
+                // the root module is served as the server entry when loaded for ssr
+                const serverEntry = withServerEntry ? renderRoutes(routes, { ...virtualOptions, server: true }) : null;
+
+                virtualModules[moduleId] = {
+                    code,
+                    map: sourceMap ? map : null,
+                    server: serverEntry && { code: serverEntry.code, map: sourceMap ? serverEntry.map : null },
+                };
+                invalidateVirtualModule(moduleId);
+                console.log(`Generated ${moduleId}`);
             }
+            return;
+        }
+
+        if (outputPath !== sourcePath) {
+            // pages of a package are imported in place relative to the generated module
+            Object.assign(renderOptions, { importBase: path.resolve(sourcePath), outputDir: path.resolve(outputPath) });
+        }
+
+        await writeRoutesFile(relOutputFile, renderRoutes(routes, renderOptions));
+
+        if (withServerEntry) {
+            await writeRoutesFile(
+                path.join(sourcePath, SERVER_ENTRY_FILE),
+                renderRoutes(routes, { ...renderOptions, server: true })
+            );
         }
     }
 
     /**
-     * Recursively build routes from the directory structure.
-     * @param {string} rootDir - The root directory of the routes.
-     * @param {string} currentDir - The current directory to process.
-     * @param {boolean} isRoot - Whether the current directory is the root.
-     * @param {string} parentPath - The parent path of the current directory.
-     * @returns {Promise<Array>} The generated routes.
+     * Load the redirects of a routes module from the _redirects.json next to its pages, and from the redirects option for
+     * the root router. Paths in the _redirects.json of a sub-router are relative to its mount path.
+     * @returns {Promise<Array<{ from: string, to: string, replace: boolean, source: string }>>} Redirects with absolute paths.
      */
-    async function buildRoutes(rootDir, currentDir, isRoot, parentPath = '/') {
-        let entries = await fs.readdir(currentDir, { withFileTypes: true });
-        entries = entries.sort((a, b) =>
-            a.name < b.name || b.name.startsWith('_any.') ? -1 : a.name > b.name || a.name.startsWith('_any.') ? 1 : 0
-        );
-
-        let routes = [];
-
-        for (const entry of entries) {
-            const fullPath = path.join(currentDir, entry.name);
-            const relativePath = path.relative(rootDir, fullPath);
-            const routePath = buildRoutePath(entry.name, parentPath);
-
-            if (entry.isDirectory()) {
-                const children = await buildRoutes(rootDir, fullPath, isRoot, routePath);
-                routes.push({
-                    path: routePath,
-                    children,
-                });
-            } else if (entry.isFile() && isRouteFile(entry.name)) {
-                const isAnyDeeper = entry.name.startsWith('_any.');
-                const isLazy = entry.name.endsWith('.lazy_.jsx');
-                const isIndex = entry.name.endsWith('index.jsx') || entry.name.endsWith('index.lazy_.jsx');
-                const isLayout = entry.name.startsWith('_layout.');
-                const isError = entry.name.startsWith('_error.');
-
-                let componentName = generateComponentName(relativePath);
-                if (isError) {
-                    componentName += 'Boundary';
-                }
+    async function loadRedirects(sourcePath, isRoot, mountPath) {
+        const redirectsFile = path.join(sourcePath, REDIRECTS_FILE);
+        let fileRedirects = [];
+
+        if (fsSync.existsSync(redirectsFile)) {
+            let json;
+            try {
+                json = JSON.parse(await fs.readFile(redirectsFile, 'utf-8'));
+            } catch (error) {
+                throw new Error(`Invalid ${redirectsFile}: ${error.message}`);
+            }
 
-                /*
-                if (isIndex) {
-                    if (entry.name !== 'index.jsx' && entry.name !== 'index.lazy_.jsx') {
-                        throw new Error(`Index route does not support flat mode. File: ${fullPath}`);
-                    }
-                }
-                    */
+            fileRedirects = normalizeRedirects(json, redirectsFile).map((redirect) => ({
+                ...redirect,
+                source: redirectsFile,
+            }));
+
+            if (!isRoot) {
+                fileRedirects = fileRedirects.map((redirect) => ({
+                    ...redirect,
+                    from: path.posix.join(mountPath, redirect.from),
+                    to: path.posix.join(mountPath, redirect.to),
+                }));
+            }
+        }
 
-                if (isLayout && isLazy) {
-                    throw new Error(
-                        `Layout route does not support lazy, you can use a lazy sub-module instead. File: ${fullPath}`
-                    );
-                }
+        if (!isRoot) {
+            return fileRedirects;
+        }
 
-                let importPath = `./${path.join(routesDir, relativePath).replace(/\\/g, '/')}`;
-                if (importPath.endsWith('.jsx')) {
-                    importPath = importPath.slice(0, -4);
-                } else if (importPath.endsWith('.js')) {
-                    importPath = importPath.slice(0, -3);
-                }
+        const optionRedirects = normalizeRedirects(redirectsOption).map((redirect) => ({
+            ...redirect,
+            source: 'the redirects option',
+        }));
+        const duplicates = _.intersection(_.map(fileRedirects, 'from'), _.map(optionRedirects, 'from'));
+        if (duplicates.length > 0) {
+            throw new Error(
+                `Redirects in both ${redirectsFile} and the redirects option: "${duplicates.join('", "')}".`
+            );
+        }
 
-                const slashPos = routePath.lastIndexOf('/');
-                const isFlatIndex = slashPos > 0 && !entry.name.startsWith('index.');
+        return [...fileRedirects, ...optionRedirects];
+    }
 
-                let route = {
-                    path: isAnyDeeper
-                        ? routePath + (routePath.endsWith('/') ? '*' : '/*')
-                        : isIndex
-                        ? isFlatIndex
-                            ? routePath.substring(0, slashPos)
-                            : parentPath
-                        : routePath,
-                    element: componentName,
-                    importPath,
-                    isLazy,
-                    isLayout,
-                    isError,
-                    isIndex,
-                    isAnyDeeper,
-                };
+    /**
+     * Fail on pages with a param of the same name as the language segment of i18nRouting.
+     */
+    function validateI18nRouting() {
+        const { param } = normalizeI18nRouting(i18nRouting);
+        const pages = collectManifestEntries().filter(({ params }) => params.some(({ name }) => name === param));
+
+        if (pages.length > 0) {
+            throw new Error(
+                `The param "${param}" of i18nRouting is used by: ${_.map(pages, 'file').join(', ')}, rename it or set "i18nRouting.param".`
+            );
+        }
+    }
 
-                if (isIndex && isFlatIndex) {
-                    route = {
-                        path: routePath.substring(0, slashPos),
-                        children: [route],
-                    };
-                }
+    /**
+     * Collect the pages a link can go to, with absolute paths.
+     */
+    const collectLinkTargets = () => [
+        // a link to the not found page is a dead link
+        ...collectManifestEntries().filter(({ file }) => !path.basename(file).startsWith('_notfound.')),
+        // lazy sub-routers redirect their mount paths to their default routes
+        ..._.keys(subRouters)
+            .filter((key) => subRouters[key].isLazy)
+            .map((key) => ({ path: key, file: `the sub-router ${key}` })),
+    ];
 
-                routes.push(route);
-            }
+    /**
+     * Fail on redirects conflicting with pages or to urls of no page, e.g. after a page is renamed.
+     */
+    function validateRedirects() {
+        const redirects = _.flatMap(Object.values(routeTrees), 'redirects');
+        if (redirects.length === 0) {
+            return;
         }
 
-        return routes;
+        const errors = checkRedirects(redirects, collectLinkTargets());
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
     }
 
     /**
-     * Build routes from the directory and generate the routes file.
-     * @param {*} sourcePath
-     * @param {*} isRoot
+     * Fail on dead links of the module sitemaps and sub-routers without a sitemap, e.g. after a page is renamed.
      */
-    async function buildRoutesFromDirectory(sourcePath, isRoot) {              
-        const routesPath = path.resolve(sourcePath, routesDir);
-        moduleMap[routesPath] = { sourcePath, isRoot };
-
-        const relOutputFile = isRoot
-            ? path.join(sourcePath, 'router.runtime.jsx')
-            : path.join(sourcePath, 'sub-routes.runtime.jsx');
+    function validateModuleSitemaps() {
+        const errors = checkModuleSitemaps(moduleSitemaps, collectLinkTargets(), _.keys(subRouters));
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+    }
 
+    async function writeRoutesFile(relOutputFile, { code, map }) {
         const outputFile = path.resolve(relOutputFile);
 
-        const routes = await buildRoutes(routesPath, routesPath, isRoot, '/');
-
-        const fileContent = generateRoutesFileContent(
-            routes,
-            isRoot ? subRouters : undefined,
-            isRoot,
-            enableSentry
-        ).replace(/\\/g, '/');
-
-        await fs.writeFile(outputFile, fileContent, 'utf-8');
-        console.log(`Generated ${relOutputFile}`);
+        // sources of an inline source map are resolved against the generated file
+        const fileContent = sourceMap
+            ? code +
+              `//# sourceMappingURL=data:application/json;base64,${Buffer.from(
+                  JSON.stringify({
+                      ...map,
+                      sources: map.sources.map((source) =>
+                          path.relative(path.dirname(outputFile), source).replace(/\\/g, '/')
+                      ),
+                  })
+              ).toString('base64')}\n`
+            : code;
+
+        if (await writeFileIfChanged(outputFile, fileContent)) {
+            console.log(`Generated ${relOutputFile}`);
+        }
     }
 
+    const pendingRegenerations = new Set();
+    let regenerateTimer;
+
     /**
-     * Generate the content of the routes.runtime.jsx file.
+     * Regenerate the routes of a pages directory after changes settle, e.g. a renamed page or a removed directory.
+     * @param {string} routesPath
      */
-    function generateRoutesFileContent(routes, subRoutes, isRoot, enableSentry) {
-        let importStatements = '';
-        let lazyImports = '';
-        const importSet = new Set();
-        const routeMergeMap = {};
+    function scheduleRegenerate(routesPath) {
+        pendingRegenerations.add(routesPath);
+        clearTimeout(regenerateTimer);
+        regenerateTimer = setTimeout(regeneratePending, REGENERATE_DEBOUNCE_MS);
+    }
 
-        function findNearestParent(start) {
-            if (routeMergeMap[start]) {
-                return start;
-            }
+    async function regeneratePending() {
+        const routesPaths = Array.from(pendingRegenerations);
+        pendingRegenerations.clear();
 
-            if (start === '/') {
-                return '/';
+        try {
+            for (const routesPath of routesPaths) {
+                const { sourcePath, isRoot, mountPath } = moduleMap[routesPath];
+                await buildRoutesFromDirectory(sourcePath, isRoot, mountPath);
             }
 
-            let [parentPath] = splitLast(start, '/');
-            if (!parentPath) {
-                parentPath = '/';
+            validateRedirects();
+            if (i18nRouting) {
+                validateI18nRouting();
+            }
+            if (moduleSitemaps) {
+                validateModuleSitemaps();
             }
 
-            return findNearestParent(parentPath);
+            if (manifest) {
+                await writeManifest();
+            }
+        } catch (error) {
+            // keep the dev server running, e.g. on conflicting route files while renaming
+            console.error(error);
+            server?.ws.send({ type: 'error', err: { message: error.message, stack: error.stack } });
         }
+    }
 
-        function processRoutes(routes) {
-            const routeDefinitions = [];
-            const _deferred = [];
-
-            for (const route of routes) {
-                const routeDef = {};
-                let merged = false;
-                let isNode = false;
+    function invalidateVirtualModule(moduleId) {
+        const mod = server?.moduleGraph.getModuleById('\0' + moduleId);
+        if (mod) {
+            server.moduleGraph.invalidateModule(mod);
+            if (server.reloadModule) {
+                server.reloadModule(mod);
+            } else {
+                server.ws.send({ type: 'full-reload' });
+            }
+        }
+    }
 
-                const { path, element, importPath, isLazy, isLayout, isError, isIndex, children } = route;
+    /**
+     * Collect the manifest entries of all scanned pages, including pages of sub-routers.
+     */
+    function collectManifestEntries() {
+        const trees = Object.values(routeTrees);
+        const rootTree = trees.find((tree) => tree.isRoot);
+
+        return trees.flatMap(({ routes, isRoot, mountPath }) =>
+            isRoot
+                ? buildRoutesManifest(routes)
+                : buildRoutesManifest(routes, {
+                      subRouter: mountPath,
+                      layouts: rootTree ? getLayoutsOfPath(rootTree.routes, mountPath) : [],
+                  })
+        );
+    }
 
-                // 处理路径或索引
-                routeDef.path = path;
+    async function writeManifest() {
+        const relManifestFile = typeof manifest === 'string' ? manifest : path.join(root, 'routes.manifest.json');
+        const entries = collectManifestEntries();
 
-                let [parentPath] = splitLast(routeDef.path, '/');
-                if (!parentPath) {
-                    parentPath = '/';
-                }
+        if (await writeFileIfChanged(path.resolve(relManifestFile), JSON.stringify(entries, null, 2))) {
+            console.log(`Generated ${relManifestFile}`);
+        }
+    }
 
-                // 处理元素
-                if (importPath && element) {
-                    const componentName = element;
+    const getServerEntryId = () =>
+        virtualModule ? VIRTUAL_ROUTES_ID : path.resolve(root, SERVER_ENTRY_FILE).replace(/\\/g, '/');
 
-                    if (isError) {
-                        // 处理错误元素
-                        if (!importSet.has(importPath)) {
-                            if (isLazy) {
-                                lazyImports += `const ${componentName} = React.lazy(() => import('${importPath}'));\n`;
-                            } else {
-                                importStatements += `import ${componentName} from '${importPath}';\n`;
-                            }
-                            importSet.add(importPath);
-                        }
+    /**
+     * Run a callback with a temporary ssr dev server loading the pages after a build.
+     */
+    async function withSsrServer(callback) {
+        const { createServer } = await import('vite');
+        const ssrServer = await createServer({
+            configFile: viteConfig.configFile,
+            root: viteConfig.root,
+            mode: viteConfig.mode,
+            logLevel: 'error',
+            appType: 'custom',
+            server: { middlewareMode: true, hmr: false },
+            // nothing is served to browsers
+            optimizeDeps: { noDiscovery: true, include: [] },
+            plugins: [{ name: SSR_SERVER_PLUGIN }],
+        });
 
-                        if (routeMergeMap[routeDef.path]) {
-                            routeMergeMap[routeDef.path].errorElement = `<${componentName} />`;
-                            merged = true;
-                        } else {
-                            // 将 errorElement 分配给当前路由
-                            routeDef.errorElement = `<${componentName} />`;
-                            routeMergeMap[routeDef.path] = routeDef;
-                        }
-                    } else if (isLayout) {
-                        // 处理布局和 handle
-                        const handleName = `handle${componentName}`;
-                        if (!importSet.has(importPath)) {
-                            importStatements += `import { Component as ${componentName}, handle as ${handleName} } from '${importPath}';\n`;
-                            importSet.add(importPath);
-                        }
+        try {
+            return await callback(ssrServer);
+        } finally {
+            await ssrServer.close();
+        }
+    }
 
-                        if (routeMergeMap[routeDef.path]) {
-                            routeMergeMap[routeDef.path].element = `<${componentName} />`;
-                            routeMergeMap[routeDef.path].handle = handleName;
-                            merged = true;
-                        } else {
-                            routeDef.element = `<${componentName} />`;
-                            routeDef.handle = handleName;
-                            routeMergeMap[routeDef.path] = routeDef;
-                        }
-                    } else if (isLazy) {
-                        // 处理懒加载组件
-                        if (!importSet.has(importPath)) {
-                            lazyImports += `const lazy${componentName} = () => import('${importPath}');\n`;
-                            importSet.add(importPath);
-                        }
-                        routeDef.lazy = 'lazy' + componentName;
-                        isNode = true;
-                    } else {
-                        // 普通组件
-                        const handleName = `handle${componentName}`;
-                        if (!importSet.has(importPath)) {
-                            importStatements += `import { Component as ${componentName}, handle as ${handleName} } from '${importPath}';\n`;
-                            importSet.add(importPath);
-                        }
-                        routeDef.element = `<${componentName} />`;
-                        routeDef.handle = handleName;
-                        isNode = true;
-                    }
+    /**
+     * Collect the urls of all pages with their literal handle.
+     * Dynamic pages are included with the params returned by their getStaticParams export, or skipped.
+     * Only the modules of dynamic pages exporting getStaticParams are loaded, as a page may not load outside the browser.
+     * @param {Function} loadModule - Loads a page module for ssr.
+     * @returns {Promise<Array<{ url: string, handle: object }>>}
+     */
+    async function collectPageUrls(loadModule) {
+        const pages = [];
+
+        for (const entry of collectManifestEntries()) {
+            const { handle } = entry;
+
+            if (entry.params.length === 0) {
+                pages.push({ url: entry.path, handle });
+            } else if (detectExports(await fs.readFile(entry.file, 'utf-8')).has('getStaticParams')) {
+                const { getStaticParams } = await loadModule(path.resolve(entry.file));
+                const splatName = entry.params.find((param) => param.splat)?.name;
+                for (const params of await getStaticParams()) {
+                    pages.push({ url: fillRoutePath(entry.path, params, splatName), handle });
                 }
+            } else if (entry.params.every((param) => param.optional)) {
+                pages.push({ url: fillRoutePath(entry.path, {}), handle });
+            } else {
+                console.log(`Skipped dynamic route "${entry.path}" without getStaticParams`);
+            }
+        }
 
-                // 处理子路由
-                if (children && children.length > 0) {
-                    if (routeMergeMap[routeDef.path]) {
-                        routeMergeMap[routeDef.path].children = processRoutes(children);
-                    } else {
-                        routeMergeMap[routeDef.path] = routeDef;
-                        const moreChildren = processRoutes(children);
-                        routeDef.children = [...(routeDef.children || []), ...moreChildren];
+        return _.uniqBy(pages, 'url');
+    }
 
-                        if (!routeMergeMap[parentPath]) {
-                            _deferred.push({ parentPath, routeDef });
-                        } else {
-                            routeMergeMap[parentPath].children = [
-                                ...(routeMergeMap[parentPath].children || []),
-                                routeDef,
-                            ];
-                        }
-                    }
+    /**
+     * Render the pages into html files of the build.
+     */
+    async function prerenderPages(ssrServer, pages) {
+        const outDir = path.resolve(viteConfig.root, viteConfig.build.outDir);
+        const template = await fs.readFile(path.join(outDir, 'index.html'), 'utf-8');
 
-                    merged = true;
-                }
+        if (!template.includes(SSR_OUTLET) && !ROOT_ELEMENT_REGEX.test(template)) {
+            throw new Error(`Prerendering requires "${SSR_OUTLET}" or an empty <div id="root"></div> in index.html.`);
+        }
 
-                if (isNode) {
-                    let p = parentPath;
+        const { render } = await ssrServer.ssrLoadModule(PRERENDER_ID);
 
-                    if (isIndex) {
-                        routeDef.index = true;
-                        p = routeDef.path;
-                        delete routeDef.path;
-                    }
+        for (const { url } of pages) {
+            const { html, response, statusCode } = await render(path.posix.join(basename, url));
 
-                    const _parentPath = findNearestParent(p);
-                    routeMergeMap[_parentPath].children = [...(routeMergeMap[_parentPath].children || []), routeDef];
-                } else if (!merged) {
-                    // 添加到路由定义数组
-                    routeDefinitions.push(routeDef);
-                }
+            if (response || statusCode >= 400) {
+                console.warn(
+                    `Prerendering skipped "${url}", responded with ${response ? response.status : statusCode}`
+                );
+                continue;
             }
 
-            if (_deferred.length > 0) {
-                for (const { parentPath, routeDef } of _deferred) {
-                    routeMergeMap[parentPath].children = [...(routeMergeMap[parentPath].children || []), routeDef];
-                }
+            const prerenderFile = getPrerenderFile(url);
+            if (!prerenderFile) {
+                console.warn(`Prerendering skipped "${url}", its params can not be file names.`);
+                continue;
             }
 
-            return routeDefinitions;
+            const outputFile = path.join(outDir, prerenderFile);
+            await fs.mkdir(path.dirname(outputFile), { recursive: true });
+            await fs.writeFile(outputFile, injectHtml(template, html), 'utf-8');
+            console.log(`Prerendered ${path.relative(process.cwd(), outputFile)}`);
         }
+    }
 
-        const _routes = processRoutes(routes);
-
-        if (subRoutes) {
-            for (let _path in subRoutes) {
-                const routeInfo = subRoutes[_path];
-
-                const componentName = _.upperFirst(_.camelCase(_path.replace(/\//g, '-'))) + 'Any';
-                const importPath =
-                    './' +
-                    (isLocalModule(routeInfo)
-                        ? routeInfo.importPath + '/sub-routes.runtime'
-                        : runtimePagesDir + '/' + _.kebabCase(_path) + '/sub-routes.runtime');
-
-                let routeDef = {
-                    path: _path,
-                };
-
-                if (routeInfo.isLazy) {
-                    if (!routeInfo.defaultRoute || routeInfo.defaultRoute === '/') {
-                        throw new Error(
-                            `Default route is required for lazy sub-routes: "${_path}" and it should not be "/".`
-                        );
-                    }
-
-                    lazyImports += `const lazy${componentName} = () => import('${importPath}');\n`;
-                    const redirectPath = path.join(_path, routeInfo.defaultRoute).replace(/\\/g, '/');
-                    routeDef.children = `[{ index: true, element: <Navigate to='${redirectPath}' /> }]`;
-                    routeDef.handle = `{ lazyRouting: lazy${componentName} }`;
-                } else {
-                    importStatements += `import ${componentName} from '${importPath}';\n`;
-                    routeDef.element = `<${componentName} />`;
-                }
-
-                importSet.add(importPath);
+    async function writeSitemap(pages) {
+        const outputFile = path.resolve(viteConfig.root, viteConfig.build.outDir, 'sitemap.xml');
+        await fs.writeFile(outputFile, renderSitemap(pages, siteUrl, basename), 'utf-8');
+        console.log(`Generated ${path.relative(process.cwd(), outputFile)}`);
+    }
 
-                if (routeMergeMap[_path]) {
-                    throw new Error(`Duplicate route path: ${_path}`);
-                }
+    /**
+     * Get the ids of the modules loaded lazily by the landing route, i.e. its lazy page, layouts and sub-router.
+     * @param {string} landingPath
+     */
+    function getLandingModuleIds(landingPath) {
+        // the least dynamic page matching the path
+        const entry = _.minBy(
+            collectManifestEntries().filter((entry) => matchRoutePattern(entry.path, landingPath)),
+            (entry) => entry.params.length
+        );
 
-                const _parentPath = findNearestParent(_path);
-                routeMergeMap[_parentPath].children = [...(routeMergeMap[_parentPath].children || []), routeDef];
-            }
+        if (!entry) {
+            console.warn(`No page matches the landing route "${landingPath}" to preload`);
+            return [];
         }
 
-        const routesArray = tidyRoutes(_routes, isRoot);
-
-        // 生成路由配置的字符串表示
-        const routeDefsString = JSON.stringify(routesArray, null, 2)
-            // 处理 element 属性，移除引号
-            .replace(/"element": "(<[^"]+>)"/g, '"element": $1')
-            .replace(/"lazy": "([^"]+)"/g, '"lazy": $1')
-            // 处理 errorElement 属性
-            .replace(/"errorElement": "(<[^"]+>)"/g, '"errorElement": $1')
-            // 处理 handle 属性
-            .replace(/("handle":\s*)"({[^"]*})"/g, '$1$2')
-            .replace(/"handle": "([a-zA-Z0-9_]+)"/g, '"handle": $1')
-            // 移除 element 为 null 的情况
-            .replace(/"element": null,\n/g, '')
-            // 移除 JSX 元素周围的引号
-            .replace(/"<([^"]+)>"(?=\s*(,|\}))/g, '$1')
-            // 移除 children 为字符串的情况
-            .replace(/"children": "([^"]+)"/g, '"children": $1');
-        let fileContent;
-
-        if (isRoot) {
-            let createRouter;
-
-            if (enableSentry) {
-                importStatements += `import { createBrowserRouter,
-    createRoutesFromChildren,
-    matchRoutes,
-    useLocation,
-    useNavigationType, 
-    Navigate,
-} from '${reactRouterLib}';
-import { Runtime } from '@xgent/grafton';
-import * as Sentry from '@sentry/react';\n`;
-
-                createRouter = `let _createBrowserRouter;
+        const moduleIds = [entry.file, ...entry.layouts].map((file) => path.resolve(file));
 
-const sentryConfig = Runtime.config.sentry;
-if (!Runtime.isDevMode && sentryConfig && sentryConfig.dsn) {
-    Sentry.init({
-        integrations: [
-            Sentry.browserTracingIntegration(), 
-            Sentry.replayIntegration(),
-            Sentry.reactRouterV7BrowserTracingIntegration({
-                useEffect: React.useEffect,
-                useLocation,
-                useNavigationType,
-                createRoutesFromChildren,
-                matchRoutes,
-            }),
-        ],
-        tracesSampleRate: 1.0, 
-        replaysSessionSampleRate: 0.1, 
-        replaysOnErrorSampleRate: 1.0, 
-        ...sentryConfig,
-    });
+        if (entry.subRouter && subRouters[entry.subRouter].isLazy) {
+            moduleIds.push(
+                virtualModule
+                    ? '\0' + getVirtualModuleId(entry.subRouter)
+                    : path.resolve(getSubRouterOutputPath(entry.subRouter), 'sub-routes.runtime.jsx')
+            );
+        }
 
-    Runtime.sentry = Sentry;
+        return moduleIds.map((moduleId) => moduleId.replace(/\\/g, '/'));
+    }
 
-    _createBrowserRouter = Sentry.wrapCreateBrowserRouterV7(
-        createBrowserRouter,
-    );
-} else {
-    _createBrowserRouter = createBrowserRouter;
-}
+    let preBuildDone = false;
+    // watchers of package sub-router pages, closed with the dev server
+    const packageWatchers = [];
 
-const router = _createBrowserRouter(routes, { patchRoutesOnNavigation: lazyRouting });\n`;
+    /**
+     * Hot update the modules of a changed file vite does not watch, e.g. a page of a linked package.
+     */
+    function reloadModulesOfFile(fullPath) {
+        const mods = fullPath && server?.moduleGraph.getModulesByFile(fullPath.replace(/\\/g, '/'));
+        mods?.forEach((mod) => {
+            server.moduleGraph.invalidateModule(mod);
+            if (server.reloadModule) {
+                server.reloadModule(mod);
             } else {
-                importStatements += `import { createBrowserRouter, Navigate } from '${reactRouterLib}';\n`;
-                createRouter = `const router = createBrowserRouter(routes, { patchRoutesOnNavigation: lazyRouting });\n`;
+                server.ws.send({ type: 'full-reload' });
             }
+        });
+    }
 
-            // 生成最终的文件内容
-            fileContent = `import React from 'react';
-${importStatements}
-${lazyImports}
-export const lazyRouting = async ({ patch, matches }) => {
-    let leafRoute = matches[matches.length - 1]?.route;
-
-    if (leafRoute?.handle?.lazyRouting) {
-        const { default: children } = await leafRoute.handle.lazyRouting();
-        patch(leafRoute.id, children);
+    /**
+     * Stop watching package sub-router pages, e.g. when the dev server is closed or restarted.
+     */
+    function closePackageWatchers() {
+        packageWatchers.splice(0).forEach((watcher) => watcher.close());
+        clearTimeout(regenerateTimer);
+        pendingRegenerations.clear();
     }
-};
 
-const routes = ${routeDefsString};
+    // the locales of sub-modules keyed by "<lng>/<ns>", served by the dev server and emitted into the build output,
+    // not written into the public directory owned by the app
+    let localeResources = {};
+    // watchers of sub-module locales, closed with the dev server
+    const localeWatchers = [];
+    let syncLocalesTimer;
 
-${createRouter}
-export default router;
-`;
-        } else {
-            fileContent = `import React from 'react';
-${importStatements}
-${lazyImports}
-const subRoutes = ${routeDefsString};
+    /**
+     * Merge the locales of sub-modules to be served as "locales/<lng>/<ns>.json", and write the namespaces of the app
+     * and the served ones of sub-modules into the i18n "ns" list of runtime.config.json.
+     * A namespace of the app, i.e. in the public directory or in the "ns" of i18nResources, is a conflict.
+     * @returns {Promise<boolean>} Whether any locale is changed.
+     */
+    async function syncLocales() {
+        const { copy = [], extract = [], ns: appNamespaces = [] } = i18nResources;
+
+        const localeFiles = await collectLocaleFiles(copy, extract);
+        const { resources, namespaces, errors } = await mergeLocaleFiles(localeFiles);
+
+        const localesDir = path.join(viteConfig?.publicDir || path.resolve('public'), 'locales');
+        _.uniqBy(localeFiles, ({ lng, ns, source }) => `${lng}/${ns}/${source}`).forEach(({ lng, ns, source }) => {
+            const appFile = path.join(localesDir, lng, `${ns}.json`);
+            if (appNamespaces.includes(ns) || fsSync.existsSync(appFile)) {
+                errors.push(
+                    `The i18n namespace "${ns}" (${lng}) of "${source}" conflicts with the one of the app` +
+                        (fsSync.existsSync(appFile) ? ` in "${path.relative(process.cwd(), appFile)}"` : '') +
+                        ', rename either of them.'
+                );
+            }
+        });
 
-export default subRoutes;
-`;
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
         }
 
-        return fileContent;
-    }
-
-    async function copyPages(routesPath, runtimePagesPath, key) {
-        await fs.rm(runtimePagesPath, { recursive: true, force: true });
-        await fs.mkdir(runtimePagesPath, { recursive: true });
-
-        async function handleRouteFile(fullPath) {
-            await copyPageFile(routesPath, runtimePagesPath, fullPath, key);
+        const _localeResources = _.mapValues(resources, (data) => JSON.stringify(data, null, 2));
+        const changed = !_.isEqual(_localeResources, localeResources);
+        localeResources = _localeResources;
+
+        // the ns list is what is served, e.g. a namespace of a package without locale files is left out
+        const runtimeConfigFile = path.join(root, 'runtime.config.json');
+        if (fsSync.existsSync(runtimeConfigFile)) {
+            const runtimeConfig = JSON.parse(await fs.readFile(runtimeConfigFile, 'utf-8'));
+            runtimeConfig.i18n = { ...runtimeConfig.i18n, ns: _.uniq([...appNamespaces, ...namespaces]) };
+            if (await writeFileIfChanged(runtimeConfigFile, JSON.stringify(runtimeConfig, null, 2))) {
+                console.log(`Updated the i18n namespaces of ${runtimeConfigFile}`);
+            }
         }
 
-        async function handleDir(fullPath) {
-            const relativePath = path.relative(routesPath, fullPath);
-            const newDir = path.resolve(runtimePagesPath, relativePath);
-            await fs.mkdir(newDir, { recursive: true });
+        if (changed) {
+            console.log(`Synced ${_.size(localeResources)} locale(s) of sub-modules`);
         }
 
-        await visitPages(routesPath, handleRouteFile, handleDir);
-        const cwd = process.cwd();
-        console.log(
-            `Sub-module pages copied ${path.relative(cwd, routesPath)} -> ${path.relative(cwd, runtimePagesPath)}`
-        );
+        return changed;
     }
 
-    async function copyPageFile(srcRootPath, destRootPath, fullPath, key, singleFile) {
-        const relativePath = path.relative(srcRootPath, fullPath);
-        const newFile = path.resolve(destRootPath, relativePath);
-
-        if (singleFile) {
-            if (!fsSync.existsSync(fullPath)) {
-                await fs.unlink(newFile);
-                console.log(`Removed page ${newFile}`);
-                return;
-            }
-        }
-        const content = await fs.readFile(fullPath, 'utf-8');
-        const newContent = content.replace(
-            /import\s+(\{\s*.+\s*\})\s+from\s+['"]@package@([^'"]*)['"]/g,
-            (match, component, importPath) => {
-                return `import ${component} from '${subRouters[key].importPath}${importPath}'`;
-            }
-        );
-
-        await fs.writeFile(newFile, newContent, 'utf-8');
-        if (singleFile) {
-            console.log(`Updated page ${newFile}`);
-        }
+    /**
+     * Watch the locales of sub-modules, vite does not watch node_modules or the directories outside the module graph.
+     */
+    function watchLocales() {
+        const { copy = [], extract = [] } = i18nResources;
+        const localeDirs = [
+            ...copy.map((source) => path.join(source, 'locales')),
+            ...extract.flatMap((namespaces) => Object.values(namespaces)),
+        ].filter((dir) => fsSync.existsSync(dir));
+
+        localeDirs.forEach((dir) => {
+            localeWatchers.push(
+                watchDirectoryTree(dir, () => {
+                    clearTimeout(syncLocalesTimer);
+                    syncLocalesTimer = setTimeout(async () => {
+                        try {
+                            if (await syncLocales()) {
+                                server?.ws.send({ type: 'full-reload' });
+                            }
+                        } catch (error) {
+                            // keep the dev server running, e.g. on a locale file being edited
+                            console.error(error);
+                            server?.ws.send({ type: 'error', err: { message: error.message, stack: error.stack } });
+                        }
+                    }, REGENERATE_DEBOUNCE_MS);
+                })
+            );
+        });
     }
 
-    let preBuildDone = false;
-    let devServerStarted = false;
+    function closeLocaleWatchers() {
+        localeWatchers.splice(0).forEach((watcher) => watcher.close());
+        clearTimeout(syncLocalesTimer);
+    }
 
     async function preBuild(isDevServer) {
         for (let key in subRouters) {
             const routeInfo = subRouters[key];
 
             if (!isLocalModule(routeInfo)) {
-                const packageRoot = getPackageRoot(routeInfo.importPath, rootPath);
-                const importPath = routeInfo.root ? path.join(packageRoot, routeInfo.root) : packageRoot; // ;
-                const srcRoutesPath = path.resolve(importPath, routesDir);
-
-                const newImportPath = './' + path.join(runtimePagesDir, _.kebabCase(key));
-                const runtimePagesPath = path.resolve(rootPath, newImportPath, routesDir);
+                const srcRoutesPath = path.resolve(getPackageSourcePath(routeInfo), routesDir);
+                // importers are resolved to real paths, e.g. of linked packages
+                packageRoots[key] = fsSync.realpathSync(getPackageRoot(routeInfo.importPath, rootPath));
 
-                await copyPages(srcRoutesPath, runtimePagesPath, key);
+                if (!virtualModule) {
+                    // pages copied by previous versions would be stale
+                    await fs.rm(path.resolve(getSubRouterOutputPath(key), routesDir), { recursive: true, force: true });
+                }
 
                 if (isDevServer) {
-                    (async () => {
-                        const watcher = fs.watch(srcRoutesPath, { recursive: true });
-                        for await (const event of watcher) {
-                            const fullPath = path.resolve(srcRoutesPath, event.filename);
-                            if (!isDir(fullPath)) {
-                                //console.log(`[detected change] ${event.eventType}: ${fullPath}`);
-                                await copyPageFile(srcRoutesPath, runtimePagesPath, fullPath, key, true);
-                            }
-                        }
-                    })();
+                    // vite does not watch node_modules
+                    packageWatchers.push(
+                        watchDirectoryTree(srcRoutesPath, (fullPath) => {
+                            scheduleRegenerate(srcRoutesPath);
+                            reloadModulesOfFile(fullPath);
+                        })
+                    );
                 }
             }
         }
@@ -880,20 +1608,49 @@ export default subRoutes;
     return {
         name: 'vite-plugin-file-based-react-router',
 
-        async configureServer(server) {
-            if (!enabled) {
+        configResolved(config) {
+            viteConfig = config;
+        },
+
+        async configureServer(_server) {
+            // the temporary ssr server after a build neither watches nor serves hot updates
+            if (!enabled || _server.config.plugins.some((plugin) => plugin.name === SSR_SERVER_PLUGIN)) {
                 return;
             }
 
+            server = _server;
+
+            if (sitemap) {
+                // generated on request from the current pages, served under base the same as the build output
+                server.middlewares.use(path.posix.join(viteConfig.base, 'sitemap.xml'), async (req, res, next) => {
+                    try {
+                        const pages = await collectPageUrls((file) => server.ssrLoadModule(file));
+                        res.setHeader('Content-Type', 'application/xml');
+                        res.end(renderSitemap(pages, siteUrl, basename));
+                    } catch (error) {
+                        next(error);
+                    }
+                });
+            }
+
             await preBuild(true);
 
-            // 防止极少数情况下 httpServer 已经在 listening
-            if (server.httpServer?.listening) {
-                devServerStarted = true;
-            } else {
-                server.httpServer?.once('listening', () => {
-                    devServerStarted = true;
+            if (i18nResources) {
+                // before vite serves the public directory
+                server.middlewares.use(path.posix.join(viteConfig.base, 'locales'), (req, res, next) => {
+                    // e.g. /en/shop.json
+                    const pathname = decodeURIComponent(req.url.split('?')[0]);
+                    const locale = pathname.endsWith('.json') && localeResources[pathname.slice(1, -'.json'.length)];
+                    if (!locale) {
+                        return next();
+                    }
+
+                    res.setHeader('Content-Type', 'application/json');
+                    res.setHeader('Cache-Control', 'no-cache');
+                    res.end(locale);
                 });
+
+                watchLocales();
             }
         },
 
@@ -906,163 +1663,3040 @@ export default subRoutes;
                 await preBuild(false);
             }
 
+            if (i18nResources) {
+                await syncLocales();
+            }
+
             await buildRoutesFromDirectory(root, true);
 
             for (let key in subRouters) {
-                const routeInfo = subRouters[key];
+                await buildRoutesFromDirectory(getSubRouterSourcePath(key), false, key);
+            }
 
-                let sourcePath;
+            validateRedirects();
+            if (i18nRouting) {
+                validateI18nRouting();
+            }
+            if (moduleSitemaps) {
+                validateModuleSitemaps();
+            }
 
-                if (isLocalModule(routeInfo)) {
-                    sourcePath = path.join(root, routeInfo.importPath);
-                } else {
-                    sourcePath = path.join(root, runtimePagesDir, _.kebabCase(key));
-                }
+            if (manifest) {
+                await writeManifest();
+            }
+        },
 
-                await buildRoutesFromDirectory(sourcePath, false);
+        generateBundle() {
+            // ssr builds have no public assets
+            if (!enabled || !i18nResources || viteConfig.build.ssr) {
+                return;
             }
+
+            _.each(localeResources, (source, key) => {
+                this.emitFile({ type: 'asset', fileName: `locales/${key}.json`, source });
+            });
+        },
+
+        closeBundle() {
+            // the dev server closes the plugins on close and restart
+            closePackageWatchers();
+            closeLocaleWatchers();
         },
 
-        async watchChange(id) {
-            if (!devServerStarted) {
+        // after the files of the client build are written, ssr builds have no index.html
+        // not in closeBundle, so that plugins exiting the process there, e.g. ClosePlugin, wait for it
+        async writeBundle() {
+            if (!enabled || !(prerender || sitemap) || viteConfig?.command !== 'build' || viteConfig.build.ssr) {
                 return;
             }
 
-            const pos = id.indexOf(routesPattern);
-            if (pos !== -1) {
-                const modulePath = id.substring(0, pos + routesPattern.length - 1);
-                const mdouleInfo = moduleMap[modulePath];
-                if (mdouleInfo != null) {
-                    await buildRoutesFromDirectory(mdouleInfo.sourcePath, mdouleInfo.isRoot);
+            await withSsrServer(async (ssrServer) => {
+                const pages = await collectPageUrls((file) => ssrServer.ssrLoadModule(file));
+
+                if (prerender) {
+                    await prerenderPages(ssrServer, pages);
                 }
-            }
+
+                if (sitemap) {
+                    await writeSitemap(pages);
+                }
+            });
         },
-    };
-}
 
-/**
- * Generate the route path based on file or directory name.
- */
-function buildRoutePath(name, parentPath) {
-    let routeSegment = name;
+        transformIndexHtml: {
+            // the bundle is only complete after vite's own html transforms
+            order: 'post',
+            handler(html, ctx) {
+                if (!enabled || !modulePreload || !ctx.bundle) {
+                    return;
+                }
 
-    // Remove file extension
-    routeSegment = routeSegment.replace(/\.lazy_\.jsx$/, '');
-    routeSegment = routeSegment.replace(/\.jsx$/, '');
+                const moduleIds = new Set(getLandingModuleIds(modulePreload === true ? '/' : modulePreload));
+                const fileNames = new Set();
 
-    // Handle special files
-    if (routeSegment === 'index') {
-        return parentPath;
-    }
-    if (routeSegment === '_layout' || routeSegment === '_error' || routeSegment === '_any') {
-        return parentPath;
-    }
+                // chunks of the entry are already loaded or preloaded by vite
+                const addChunk = (fileName) => {
+                    const chunk = ctx.bundle[fileName];
+                    if (fileNames.has(fileName) || chunk?.type !== 'chunk' || chunk.isEntry || html.includes(fileName)) {
+                        return;
+                    }
 
-    // Handle parameterized routes
-    routeSegment = routeSegment.replace(/\[(.+?)\]/g, ':$1');
+                    fileNames.add(fileName);
+                    chunk.imports.forEach(addChunk);
+                };
 
-    // Handle nested routes using '.'
-    routeSegment = routeSegment.replace(/\./g, '/');
+                Object.values(ctx.bundle).forEach((chunk) => {
+                    if (chunk.type === 'chunk' && moduleIds.has(chunk.facadeModuleId)) {
+                        addChunk(chunk.fileName);
+                    }
+                });
+
+                return Array.from(fileNames, (fileName) => ({
+                    tag: 'link',
+                    attrs: { rel: 'modulepreload', crossorigin: true, href: viteConfig.base + fileName },
+                    injectTo: 'head',
+                }));
+            },
+        },
+
+        resolveId: {
+            // before vite resolves the browser router for ssr
+            order: 'pre',
+            async handler(source, importer, options) {
+                if (!enabled) {
+                    return;
+                }
+
+                if (source === PRERENDER_ID && prerender) {
+                    return '\0' + PRERENDER_ID;
+                }
+
+                // "@package@" in files of a package sub-router refers to the package itself, for any import form
+                if (source.startsWith(PACKAGE_ALIAS) && importer) {
+                    const importerPath = path.resolve(importer);
+                    const key = _.findKey(packageRoots, (packageRoot) =>
+                        importerPath.startsWith(packageRoot + path.sep)
+                    );
+                    if (key) {
+                        const packageSource = subRouters[key].importPath + source.substring(PACKAGE_ALIAS.length);
+                        return this.resolve(packageSource, importer, { ...options, skipSelf: true });
+                    }
+                }
+
+                if (!virtualModule) {
+                    // pages may import useRouteParams from the browser router, which can not be created on the server
+                    if (options?.ssr && (ssr || prerender) && /(^|\/)router\.runtime(\.jsx)?$/.test(source)) {
+                        const resolved = await this.resolve(source, importer, { ...options, skipSelf: true });
+                        if (resolved && path.resolve(resolved.id) === path.resolve(root, 'router.runtime.jsx')) {
+                            return path.resolve(root, SERVER_ENTRY_FILE);
+                        }
+                    }
+                    return;
+                }
+
+                if (source in virtualModules) {
+                    return '\0' + source;
+                }
+            },
+        },
+
+        load(id, options) {
+            if (!enabled || !id.startsWith('\0')) {
+                return;
+            }
+
+            if (id.substring(1) === PRERENDER_ID && prerender) {
+                return renderPrerenderModule(getServerEntryId());
+            }
+
+            if (virtualModule && id.substring(1) in virtualModules) {
+                const { server: serverEntry, ...browserEntry } = virtualModules[id.substring(1)];
+                return options?.ssr && serverEntry ? serverEntry : browserEntry;
+            }
+        },
+
+        watchChange(id) {
+            // only the dev server regenerates on changes, a watching build runs buildStart again
+            if (!enabled || !server) {
+                return;
+            }
+
+            if (path.basename(id) === REDIRECTS_FILE) {
+                const routesPath = path.join(path.dirname(id), routesDir);
+                if (moduleMap[routesPath] != null) {
+                    scheduleRegenerate(routesPath);
+                }
+                return;
+            }
+
+            const pos = id.indexOf(routesPattern);
+            if (pos !== -1 && isRouteFile(path.basename(id), extensions)) {
+                const modulePath = id.substring(0, pos + routesPattern.length - 1);
+                if (moduleMap[modulePath] != null) {
+                    scheduleRegenerate(modulePath);
+                }
+            }
+        },
+    };
+}
+
+/**
+ * Scan a pages directory into a route tree, pages exporting a literal handle have it extracted as their handle.
+ * @param {string} routesPath - The pages directory.
+ * @param {object} [options]
+ * @param {string} [options.routesDir] - The pages directory name used in import paths, default as the base name of routesPath.
+ * @param {string[]} [options.extensions] - The page file extensions.
+ * @param {boolean} [options.enableDataApi] - Whether to detect loader/action/... exports.
+ * @param {string} [options.reactRouterLib] - The router lib the routes are generated for.
+ * @param {string[]} [options.reservedNames] - Identifiers page components should not use, in addition to the ones of the generated module.
+ * @returns {Promise<Array>} The route tree.
+ */
+export async function scanRoutes(routesPath, options = {}) {
+    const {
+        routesDir = path.basename(routesPath),
+        extensions = DEFAULT_EXTENSIONS,
+        enableDataApi = true,
+        reactRouterLib = 'react-router-dom',
+        reservedNames,
+    } = options;
+
+    const _routesPath = path.resolve(routesPath);
+
+    const routes = await buildRoutes(_routesPath, _routesPath, '/', {
+        routesDir,
+        extensions: normalizeExtensions(extensions),
+        enableDataApi,
+        reactRouterLib,
+    });
+
+    validateRoutes(routes, { reservedNames });
+
+    return routes;
+}
+
+/**
+ * Check a route tree from scanRoutes for pages conflicting with each other.
+ * - Throws with all pages mapped to the same route path, e.g. "a.b.jsx" and "a/b.jsx".
+ * - Renames component identifiers generated the same from different files, e.g. "user-list.jsx" and "user_list.jsx".
+ * @param {Array} routes - The route tree, component identifiers are renamed in place.
+ * @param {object} [options]
+ * @param {string[]} [options.reservedNames] - Identifiers page components should not use.
+ * @returns {Array} The route tree.
+ */
+export function validateRoutes(routes, options = {}) {
+    const { reservedNames = [] } = options;
+
+    const pages = [];
+    mapRoutes(routes, (route) => {
+        if (route.importPath) {
+            pages.push(route);
+        }
+        return route;
+    });
+
+    // layouts, error elements, loading fallbacks and guards are keyed by directory, so that route groups may have their own
+    const byPath = _.groupBy(pages, (route) =>
+        route.isLayout
+            ? `layout ${route.path}`
+            : route.isError
+            ? `error ${route.path}`
+            : route.isLoading
+            ? `loading ${route.path}`
+            : route.isGuard
+            ? `guard ${route.path}`
+            : normalizeRoutePattern(stripRouteGroups(route.path))
+    );
+
+    const conflicts = _.filter(byPath, (group) => group.length > 1).map(
+        (group) => `  "${stripRouteGroups(group[0].path)}": ${group.map((route) => `"${route.file}"`).join(', ')}`
+    );
+
+    if (conflicts.length > 0) {
+        throw new Error(`Conflicting route files mapped to the same route:\n${conflicts.join('\n')}`);
+    }
+
+    const usedNames = new Set([...RESERVED_IDENTIFIERS, ...reservedNames]);
+    const firstFiles = {};
+
+    _.sortBy(pages, 'file').forEach((route) => {
+        const name = route.element;
+        const identifiers = getRouteIdentifiers(route);
+
+        if (identifiers.every((identifier) => !usedNames.has(identifier))) {
+            identifiers.forEach((identifier) => usedNames.add(identifier));
+            firstFiles[name] = route.file;
+            return;
+        }
+
+        let suffix = 2;
+        while (getRouteIdentifiers({ ...route, element: name + suffix }).some((identifier) => usedNames.has(identifier))) {
+            suffix++;
+        }
+
+        route.element = name + suffix;
+        getRouteIdentifiers(route).forEach((identifier) => usedNames.add(identifier));
+
+        console.warn(
+            `Component name "${name}" of "${route.file}" conflicts with ${
+                firstFiles[name] ? `"${firstFiles[name]}"` : 'the generated module'
+            }, renamed to "${route.element}".`
+        );
+    });
+
+    return routes;
+}
+
+/**
+ * Resolve the import path of a page to an absolute path, or to a path relative to the generated module if outputDir is given.
+ */
+function resolveImportPath(importBase, importPath, outputDir) {
+    const absPath = path.resolve(importBase, importPath);
+    if (!outputDir) {
+        return absPath.replace(/\\/g, '/');
+    }
+
+    const relPath = path.relative(outputDir, absPath).replace(/\\/g, '/');
+    return relPath.startsWith('.') ? relPath : `./${relPath}`;
+}
+
+const getSubRouterComponentName = (mountPath) => _.upperFirst(_.camelCase(mountPath.replace(/\//g, '-'))) + 'Any';
+
+/**
+ * Get the identifiers generateRoutesFileContent declares for a page.
+ */
+const getRouteIdentifiers = ({ element, isError, isLoading, isGuard, isLazy, isMdx, dataExports = [] }) =>
+    isError || isLoading
+        ? [element]
+        : isLazy
+        ? [`lazy${element}`]
+        : isGuard
+        ? [element, ...dataExports.map((name) => `${name}${element}`)]
+        : [
+              element,
+              `handle${element}`,
+              ...(isMdx ? [`${element}Module`] : []),
+              ...dataExports.map((name) => `${name}${element}`),
+          ];
+
+/**
+ * Make route paths matching the same urls equal, e.g. "/user/:id" and "/user/:name".
+ */
+const normalizeRoutePattern = (routePath) => routePath.replace(/:[^/]+?(\?)?(?=\/|$)/g, ':$1');
+
+/**
+ * Normalize redirects keyed by the old path pattern into a list.
+ * @param {object} redirects - e.g. { '/old/:id': '/new/:id', '/blog/*': { to: '/posts/*', replace: false } }
+ * @param {string} [source] - Where the redirects come from, for errors.
+ * @returns {Array<{ from: string, to: string, replace: boolean }>}
+ */
+function normalizeRedirects(redirects = {}, source = 'redirects') {
+    return _.map(redirects, (target, from) => {
+        const { to, replace = true } = typeof target === 'string' ? { to: target } : target || {};
+
+        if (!from.startsWith('/') || typeof to !== 'string' || !to.startsWith('/') || typeof replace !== 'boolean') {
+            throw new Error(
+                `Invalid redirect "${from}" in ${source}, expected "/old/path": "/new/path" or { "to": "/new/path", "replace": false }.`
+            );
+        }
+
+        return { from, to, replace };
+    });
+}
+
+/**
+ * Normalize the i18nRouting option, the default language is the first one if not given.
+ * @param {object} [i18nRouting] - e.g. { languages: ['en', 'de'], defaultLanguage: 'en', param: 'lang' }
+ * @returns {{ languages: string[], defaultLanguage: string, param: string }|null}
+ */
+function normalizeI18nRouting(i18nRouting) {
+    if (!i18nRouting) {
+        return null;
+    }
+
+    const { languages, defaultLanguage = languages?.[0], param = 'lang' } = i18nRouting;
+
+    if (!Array.isArray(languages) || languages.length === 0 || !languages.includes(defaultLanguage)) {
+        throw new Error(
+            'Invalid "i18nRouting", expected { languages: [...], defaultLanguage } with defaultLanguage of the languages.'
+        );
+    }
+
+    if (!/^[A-Za-z_]\w*$/.test(param)) {
+        throw new Error(`Invalid "i18nRouting.param": "${param}", expected an identifier.`);
+    }
+
+    return { languages, defaultLanguage, param };
+}
+
+// params a redirect target takes from the old url, i.e. required params and the splat
+const getRequiredParams = (pattern) =>
+    pattern
+        .split('/')
+        .filter((segment) => segment === '*' || (segment.startsWith(':') && !segment.endsWith('?')))
+        .map((segment) => (segment === '*' ? '*' : segment.substring(1)));
+
+const getPatternParams = (pattern) =>
+    pattern
+        .split('/')
+        .filter((segment) => segment === '*' || segment.startsWith(':'))
+        .map((segment) => (segment === '*' ? '*' : _.trimEnd(segment.substring(1), '?')));
+
+/**
+ * Check redirects against the routes, the old paths must not be pages and the targets must be pages taking no params
+ * the old paths do not have.
+ * @param {Array<{ from: string, to: string, source: string }>} redirects - Redirects with absolute paths.
+ * @param {Array<{ path: string, file: string }>} pages - Pages with absolute paths, e.g. from buildRoutesManifest.
+ * @returns {string[]} The errors.
+ */
+function checkRedirects(redirects, pages) {
+    const errors = [];
+
+    redirects.forEach(({ from, to, source }) => {
+        const page = pages.find(({ path }) => normalizeRoutePattern(path) === normalizeRoutePattern(from));
+        if (page) {
+            errors.push(`Redirect "${from}" in ${source} conflicts with the page ${page.file}.`);
+        }
+
+        if (!pages.some(({ path }) => routePatternIncludes(path, to))) {
+            errors.push(`Redirect target "${to}" of "${from}" in ${source} matches no route.`);
+        }
+
+        const fromParams = getPatternParams(from);
+        getRequiredParams(to)
+            .filter((name) => !fromParams.includes(name))
+            .forEach((name) => {
+                errors.push(
+                    `Redirect target "${to}" of "${from}" in ${source} requires "${
+                        name === '*' ? '*' : ':' + name
+                    }" which "${from}" does not have.`
+                );
+            });
+    });
+
+    return errors;
+}
+
+// e.g. ["a", ":b?", "c"] to ["a", ":b", "c"] and ["a", "c"]
+const expandOptionalSegments = (segments) => {
+    const pos = segments.findIndex((segment) => segment.endsWith('?'));
+    if (pos === -1) {
+        return [segments];
+    }
+
+    const head = segments.slice(0, pos);
+    return expandOptionalSegments(segments.slice(pos + 1)).flatMap((rest) => [
+        [...head, segments[pos].slice(0, -1), ...rest],
+        [...head, ...rest],
+    ]);
+};
+
+/**
+ * Check whether the urls of a route pattern include the urls of a redirect target, e.g. "/user/:id" includes "/user/:name"
+ * and "/user/me", "/docs/*" includes "/docs/:page".
+ */
+function routePatternIncludes(pattern, target) {
+    const patternSegments = pattern.split('/').filter(Boolean);
+
+    const matchFrom = (targetSegments, i, j) => {
+        if (i === patternSegments.length) {
+            return j === targetSegments.length;
+        }
+
+        const segment = patternSegments[i];
+        if (segment === '*') {
+            return true;
+        }
+
+        if (segment.endsWith('?') && matchFrom(targetSegments, i + 1, j)) {
+            return true;
+        }
+
+        if (j === targetSegments.length) {
+            return false;
+        }
+
+        const targetSegment = targetSegments[j];
+        const segmentMatches = segment.startsWith(':')
+            ? targetSegment !== '*'
+            : _.trimEnd(segment, '?') === targetSegment;
+        return segmentMatches && matchFrom(targetSegments, i + 1, j + 1);
+    };
+
+    return expandOptionalSegments(target.split('/').filter(Boolean)).every((targetSegments) =>
+        matchFrom(targetSegments, 0, 0)
+    );
+}
+
+/**
+ * Resolve a path of a module sitemap, relative to the module path unless it is under the module path already,
+ * e.g. "/workspace" and "/editor/workspace" of the module "/editor" are both "/editor/workspace".
+ */
+const resolveSitemapPath = (modulePath, sitemapPath) =>
+    isParentPath(modulePath, sitemapPath) && sitemapPath.startsWith('/')
+        ? sitemapPath
+        : path.posix.join(modulePath, sitemapPath);
+
+/**
+ * Check module sitemaps against the routes, the path of a module must have pages, its default page and nested entries
+ * must link to pages, and each sub-router must have a sitemap.
+ * @param {Array<object>} sitemaps - e.g. [{ module: 'editor', path: '/editor', defaultPage: '/workspace', children: [{ label, path, children }] }]
+ * @param {Array<{ path: string, file: string }>} pages - Pages with absolute paths, e.g. from buildRoutesManifest.
+ * @param {string[]} mountPaths - The mount paths of the sub-routers.
+ * @returns {string[]} The errors.
+ */
+function checkModuleSitemaps(sitemaps, pages, mountPaths) {
+    const errors = [];
+    const isLinkToPage = (link) => pages.some(({ path }) => routePatternIncludes(path, link));
+
+    sitemaps.forEach((sitemap) => {
+        // micro-apps are linked by url
+        if (sitemap.path == null) {
+            return;
+        }
+
+        const source = `the sitemap of module "${sitemap.module}"`;
+
+        if (!pages.some(({ path }) => isParentPath(sitemap.path, path))) {
+            errors.push(`Path "${sitemap.path}" of ${source} has no pages.`);
+        }
+
+        const checkLink = (link, jsonPath) => {
+            if (!isLinkToPage(resolveSitemapPath(sitemap.path, link))) {
+                errors.push(`Dead link "${link}" at ${jsonPath} of ${source}, it matches no route.`);
+            }
+        };
+
+        if (sitemap.defaultPage != null) {
+            checkLink(sitemap.defaultPage, 'defaultPage');
+        }
+
+        const visit = (entries, jsonPath) =>
+            entries.forEach((entry, index) => {
+                const entryPath = `${jsonPath}[${index}]`;
+                if (typeof entry.path === 'string') {
+                    checkLink(entry.path, `${entryPath}.path`);
+                }
+                if (Array.isArray(entry.children)) {
+                    visit(entry.children, `${entryPath}.children`);
+                }
+            });
+
+        if (Array.isArray(sitemap.children)) {
+            visit(sitemap.children, 'children');
+        }
+    });
+
+    mountPaths
+        .filter((mountPath) => !sitemaps.some((sitemap) => sitemap.path === mountPath))
+        .forEach((mountPath) => {
+            errors.push(`Sub-router "${mountPath}" has no sitemap, add a "sitemap.json" into its module.`);
+        });
+
+    return errors;
+}
+
+/**
+ * Render a route tree from scanRoutes to the code of a routes module.
+ * @param {Array} routes - The route tree.
+ * @param {object} [options]
+ * @param {boolean} [options.isRoot] - Whether to render the root router or a sub-router, default as true.
+ * @param {object} [options.subRouters] - Sub-routers mounted into the root router.
+ * @param {boolean} [options.enableSentry] - Whether to inject sentry's browser router tracing.
+ * @param {string} [options.reactRouterLib] - The router lib to import from.
+ * @param {string} [options.runtimePagesDir] - The directory of generated package sub-router modules.
+ * @param {object} [options.subRouterImports] - Import specifiers of sub-routers keyed by mount path, e.g. virtual module ids.
+ * @param {string} [options.importBase] - The directory page imports are resolved against to absolute paths, for modules without a directory of their own.
+ * @param {string} [options.outputDir] - The directory of the generated module, page imports resolved against importBase are made relative to it.
+ * @param {boolean} [options.jsx] - Whether to render elements as jsx or as React.createElement calls, default as true.
+ * @param {string} [options.routerType] - The router to create, 'browser', 'hash' or 'memory', default as 'browser'.
+ * @param {object} [options.routerOptions] - Options passed to the router factory, e.g. basename, future, hydrationData, copied into the generated module.
+ * @param {string} [options.routerOptionsModule] - The module whose default export is spread into the options of the router, for options which are functions, e.g. dataStrategy, imported as is.
+ * @param {boolean} [options.exportRoutesOnly] - Whether to export the routes instead of a router created from them, default as false.
+ * @param {boolean} [options.server] - Whether to render the server entry creating a static handler and router instead, default as false.
+ * @param {string} [options.serverRouterLib] - The lib to import the static router apis from, default as reactRouterLib.
+ * @param {object} [options.auth] - Options of the routes requiring authentication, required by _guard files and handle.auth or handle.roles.
+ * @param {string} options.auth.useAuth - The module exporting the useAuth hook returning { isAuthenticated, roles }, imported as is.
+ * @param {string} [options.auth.forbidden] - The module exporting the Forbidden component rendered for users without the roles, imported as is.
+ * @param {string} [options.auth.pathLogin] - The login page users not signed in are redirected to, default as '/login'.
+ * @param {string} [options.auth.returnUrlParam] - The query parameter of the login page to return to, default as 'returnUrl'.
+ * @param {object} [options.i18nRouting] - Mount the routes under an optional language segment, e.g. { languages: ['en', 'de'], defaultLanguage: 'en', param: 'lang' }, sub-routers only use it for translated segments.
+ * @param {object} [options.redirects] - Old path patterns to new ones rendered as redirect routes, e.g. { '/old/:id': '/new/:id', '/blog/*': { to: '/posts/*', replace: false } }.
+ * @param {boolean} [options.sourceMap] - Whether to return a source map mapping the route objects and imports back to the page files.
+ * @returns {string|{ code: string, map: object }} The code, or the code and its source map if sourceMap is enabled.
+ */
+export function renderRoutes(routes, options = {}) {
+    const {
+        isRoot = true,
+        subRouters,
+        enableSentry = false,
+        reactRouterLib = 'react-router-dom',
+        runtimePagesDir = 'runtime_modules',
+        subRouterImports,
+        importBase,
+        outputDir,
+        routerType = 'browser',
+        routerOptions = {},
+        routerOptionsModule,
+        exportRoutesOnly = false,
+        server = false,
+        serverRouterLib = reactRouterLib,
+        auth,
+        redirects,
+        i18nRouting,
+        jsx = true,
+        sourceMap = false,
+    } = options;
+
+    if (!ROUTER_FACTORIES[routerType]) {
+        throw new Error(
+            `Unsupported routerType: "${routerType}", expected one of: ${Object.keys(ROUTER_FACTORIES).join(', ')}.`
+        );
+    }
+
+    if (i18nRouting && NO_DATA_API_ROUTER_LIBS.includes(reactRouterLib)) {
+        throw new Error(`The "i18nRouting" option is not supported by "${reactRouterLib}", which has no data APIs.`);
+    }
+
+    checkRouterOptions(routerOptions);
+
+    const _routes = importBase
+        ? mapRoutes(routes, (route) =>
+              route.importPath
+                  ? { ...route, importPath: resolveImportPath(importBase, route.importPath, outputDir) }
+                  : route
+          )
+        : routes;
+
+    const writer = generateRoutesFileContent(_routes, {
+        subRoutes: isRoot ? subRouters : undefined,
+        subRouterImports,
+        isRoot,
+        jsx,
+        enableSentry,
+        reactRouterLib,
+        runtimePagesDir,
+        routerType,
+        routerOptions,
+        routerOptionsModule,
+        exportRoutesOnly,
+        server,
+        serverRouterLib,
+        auth,
+        redirects: normalizeRedirects(redirects),
+        i18nRouting: normalizeI18nRouting(i18nRouting),
+    });
+
+    return sourceMap ? { code: writer.code, map: writer.toSourceMap() } : writer.code;
+}
+
+/**
+ * Build the manifest entries of the pages in a route tree from scanRoutes, with the literal handles of the pages if any.
+ * @param {Array} routes - The route tree.
+ * @param {object} [options]
+ * @param {string} [options.subRouter] - The mount path if the route tree is a sub-router.
+ * @param {string[]} [options.layouts] - The layout files wrapping the route tree, e.g. layouts of the root router wrapping a sub-router.
+ * @returns {Array<{ path: string, params: Array, file: string, isLazy: boolean, isIndex: boolean, layouts: string[], subRouter: string|null, handle?: any }>}
+ */
+export function buildRoutesManifest(routes, options = {}) {
+    const { subRouter = null, layouts = [] } = options;
+    const entries = [];
+
+    function visit(_routes, chain) {
+        const layout = _routes.find((route) => route.isLayout);
+        const _chain = layout ? [...chain, layout.file] : chain;
+
+        _routes.forEach((route) => {
+            if (route.children) {
+                visit(route.children, _chain);
+                return;
+            }
+
+            if (route.isLayout || route.isError || route.isLoading || route.isGuard) {
+                return;
+            }
+
+            let routePath = stripRouteGroups(route.path);
+            if (subRouter) {
+                routePath = path.posix.join(subRouter, routePath);
+            }
+
+            entries.push({
+                path: routePath,
+                params: getRouteParams(routePath, route.id),
+                file: route.file,
+                isLazy: route.isLazy,
+                isIndex: route.isIndex,
+                layouts: _chain,
+                subRouter,
+                handle: route.handle,
+            });
+        });
+    }
+
+    visit(routes, layouts);
+
+    return entries;
+}
+
+/**
+ * Build a sitemap skeleton of a module from its route tree, to be completed and saved as the sitemap.json of the module.
+ * Pages without params are nested by path, the index page is the default page.
+ * @param {Array} routes - The route tree from scanRoutes.
+ * @param {object} [options]
+ * @param {string} [options.module] - The module name.
+ * @param {string} [options.label] - The module label, default as the start case of the module name.
+ * @param {string} [options.path] - The mount path of the module, default as '/'.
+ * @returns {object} e.g. { module: 'editor', label: 'Editor', path: '/editor', defaultPage: '/', children: [{ label: 'Workspace', path: '/workspace' }] }
+ */
+export function buildSitemapSkeleton(routes, options = {}) {
+    const { module, label = module && _.startCase(module), path: modulePath = '/' } = options;
+
+    const pages = _.sortBy(
+        buildRoutesManifest(routes).filter(
+            ({ file, params }) => params.length === 0 && !path.basename(file).startsWith('_notfound.')
+        ),
+        'path'
+    );
+
+    const skeleton = { module, label, path: modulePath, defaultPage: undefined, children: [] };
+    const nodes = [];
+
+    pages.forEach(({ path: pagePath, handle }) => {
+        if (pagePath === '/') {
+            skeleton.defaultPage = pagePath;
+            return;
+        }
+
+        const parent = _.findLast(nodes, (node) => isParentPath(node.path, pagePath)) || skeleton;
+        const node = { label: handle?.title ?? _.startCase(_.last(pagePath.split('/'))), path: pagePath };
+        parent.children = [...(parent.children || []), node];
+        nodes.push(node);
+    });
+
+    if (!skeleton.defaultPage) {
+        skeleton.defaultPage = nodes[0]?.path;
+    }
+
+    return skeleton;
+}
+
+/**
+ * Map every route of a route tree, children are mapped before their parent.
+ */
+function mapRoutes(routes, mapper) {
+    return routes.map((route) =>
+        mapper(route.children ? { ...route, children: mapRoutes(route.children, mapper) } : route)
+    );
+}
+
+/**
+ * Get the layout files of a route tree wrapping the given path, e.g. the mount path of a sub-router.
+ */
+function getLayoutsOfPath(routes, routePath) {
+    const layouts = [];
+
+    function visit(_routes) {
+        _routes.forEach((route) => {
+            if (route.isLayout && !isRouteGroupPath(route.path) && isParentPath(route.path, routePath)) {
+                layouts.push(route.file);
+            } else if (route.children && !isRouteGroupPath(route.path) && isParentPath(route.path, routePath)) {
+                visit(route.children);
+            }
+        });
+    }
+
+    visit(routes);
+
+    return layouts;
+}
+
+const isParentPath = (parentPath, routePath) =>
+    parentPath === '/' || routePath === parentPath || routePath.startsWith(parentPath + '/');
+
+/**
+ * Get the params of a route path, the name of a splat comes from the route id, e.g. [...rest].
+ */
+function getRouteParams(routePath, routeId) {
+    const params = [];
+
+    routePath.split('/').forEach((segment) => {
+        if (segment.startsWith(':')) {
+            const optional = segment.endsWith('?');
+            params.push(optional ? { name: segment.slice(1, -1), optional } : { name: segment.slice(1) });
+        } else if (segment === '*') {
+            const found = routeId && routeId.match(NAMED_SPLAT_REGEX);
+            params.push({ name: found ? found[1] : '*', splat: true });
+        }
+    });
+
+    return params;
+}
+
+/**
+ * Fill the params of a route path, e.g. "/user/:id" with { id: 1 } to "/user/1", optional params may be left out.
+ * @param {string} routePath
+ * @param {object} params
+ * @param {string} [splatName] - The name of the splat param, e.g. "rest" of [...rest], default as "*".
+ */
+function fillRoutePath(routePath, params, splatName = '*') {
+    const segments = routePath.split('/').flatMap((segment) => {
+        if (segment === '*') {
+            const value = params[splatName] ?? params['*'];
+            if (value == null) {
+                throw new Error(`Missing splat param "${splatName}" of route "${routePath}".`);
+            }
+            return String(value).split('/').map(encodeURIComponent);
+        }
+
+        if (segment.startsWith(':')) {
+            const optional = segment.endsWith('?');
+            const name = optional ? segment.slice(1, -1) : segment.slice(1);
+            if (params[name] == null) {
+                if (optional) {
+                    return [];
+                }
+                throw new Error(`Missing param "${name}" of route "${routePath}".`);
+            }
+            return [encodeURIComponent(String(params[name]))];
+        }
+
+        return [segment];
+    });
+
+    return segments.join('/') || '/';
+}
+
+/**
+ * Get the html file a page url is prerendered into, relative to the build output directory, e.g. "blog/über/index.html"
+ * for "/blog/%C3%BCber", as static hosts look up files by the decoded path.
+ * @param {string} url - The url of the page, with its params encoded as filled by getStaticParams.
+ * @returns {string|null} The file path, or null if a param decodes to a path separator, "." or "..".
+ */
+export function getPrerenderFile(url) {
+    const segments = url.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (segments.some((segment) => /[/\\]/.test(segment) || segment === '.' || segment === '..')) {
+        return null;
+    }
+
+    return path.join(...segments, 'index.html');
+}
+
+/**
+ * Check if a path matches a route path of the manifest, e.g. "/user/1" matches "/user/:id".
+ */
+function matchRoutePattern(routePath, pathname) {
+    const patterns = routePath.split('/').filter(Boolean);
+    const segments = pathname.split('/').filter(Boolean);
+
+    const match = (i, j) => {
+        if (i === patterns.length) {
+            return j === segments.length;
+        }
+
+        const pattern = patterns[i];
+        if (pattern === '*') {
+            return true;
+        }
+
+        if (pattern.endsWith('?') && match(i + 1, j)) {
+            return true;
+        }
+
+        return j < segments.length && (pattern.startsWith(':') || pattern === segments[j]) && match(i + 1, j + 1);
+    };
+
+    return match(0, 0);
+}
+
+function injectHtml(template, html) {
+    return template.includes(SSR_OUTLET)
+        ? template.replace(SSR_OUTLET, () => html)
+        : template.replace(ROOT_ELEMENT_REGEX, (match, open, close) => open + html + close);
+}
+
+const escapeXml = (str) =>
+    str.replace(/[&<>'"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', "'": '&apos;', '"': '&quot;' })[char]);
+
+/**
+ * Render the sitemap.xml of pages, a page is left out with "sitemap: false" in its handle,
+ * or listed with "sitemap: { priority, changefreq }" in its handle.
+ * @param {Array<{ url: string, handle: object }>} pages
+ * @param {string} siteUrl - The url of the site, e.g. "https://example.com".
+ * @param {string} [basename] - The basename of the router.
+ */
+function renderSitemap(pages, siteUrl, basename = '/') {
+    const urls = pages
+        .filter(({ handle }) => handle?.sitemap !== false)
+        .map(({ url, handle }) => {
+            const { priority, changefreq } = handle?.sitemap || {};
+
+            return [
+                '  <url>',
+                `    <loc>${escapeXml(siteUrl.replace(/\/+$/, '') + path.posix.join(basename, url))}</loc>`,
+                ...(changefreq ? [`    <changefreq>${escapeXml(changefreq)}</changefreq>`] : []),
+                ...(priority != null ? [`    <priority>${priority}</priority>`] : []),
+                '  </url>\n',
+            ].join('\n');
+        });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('')}</urlset>
+`;
+}
+
+/**
+ * Generate the module rendering a url to html with the server entry, loaded by the ssr server after a build.
+ */
+function renderPrerenderModule(serverEntryId) {
+    return `import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { createServerRouter, StaticRouterProvider } from ${quote(serverEntryId)};
+
+export async function render(url) {
+    const { router, context, response } = await createServerRouter(new Request(new URL(url, 'http://localhost')));
+    if (response) {
+        return { response };
+    }
+
+    return {
+        html: renderToString(React.createElement(StaticRouterProvider, { router, context })),
+        statusCode: context.statusCode,
+    };
+}
+`;
+}
+
+const normalizeExtensions = (extensions) => _.uniq(extensions.map((ext) => (ext.startsWith('.') ? ext : `.${ext}`)));
+
+/**
+ * Recursively build routes from the directory structure.
+ * @param {string} rootDir - The root directory of the routes.
+ * @param {string} currentDir - The current directory to process.
+ * @param {string} parentPath - The parent path of the current directory.
+ * @param {object} options - Normalized options of scanRoutes.
+ * @returns {Promise<Array>} The generated routes.
+ */
+async function buildRoutes(rootDir, currentDir, parentPath, options) {
+    const { routesDir, extensions, enableDataApi, reactRouterLib } = options;
+
+    let entries = await fs.readdir(currentDir, { withFileTypes: true });
+    // the order of routes is decided by tidyRoutes, this is only to scan in the same order on any file system
+    entries = entries.sort((a, b) => compareStrings(a.name, b.name));
+
+    let routes = [];
+
+    for (const entry of entries) {
+        const fullPath = path.join(currentDir, entry.name);
+        const relativePath = path.relative(rootDir, fullPath);
+        const routePath = buildRoutePath(entry.name, parentPath, extensions);
+
+        if (entry.isDirectory()) {
+            const children = await buildRoutes(rootDir, fullPath, routePath, options);
+            routes.push({
+                path: routePath,
+                children,
+            });
+        } else if (entry.isFile() && isRouteFile(entry.name, extensions)) {
+            const { baseName, ext, isLazy } = parseRouteFileName(entry.name, extensions);
+
+            const isAnyDeeper = baseName === '_any';
+            const isNotFound = baseName === '_notfound';
+            const isIndex = baseName === 'index' || baseName.endsWith('.index');
+            const isLayout = baseName === '_layout';
+            const isError = baseName === '_error';
+            const isLoading = baseName === '_loading';
+            const isGuard = baseName === '_guard';
+            const isMdx = ext === '.mdx';
+
+            if (isLoading && isLazy) {
+                // the fallback is rendered while lazy modules are loading, it can not be lazy itself
+                throw new Error(`Loading fallback can not be lazy: ${fullPath}`);
+            }
+
+            let dataExports = [];
+            let handle;
+            // auth or roles in a handle which is not a literal can not be guarded
+            let hasDynamicAuth = false;
+            // a guard may only declare handle.auth without a component of its own
+            let hasComponent = true;
+
+            if (!isError && !isLoading) {
+                const source = await fs.readFile(fullPath, 'utf-8');
+
+                // literal handles are inlined into the routes, so that they are known before lazy pages are loaded
+                const staticHandle = extractStaticHandle(source);
+                if (staticHandle?.error) {
+                    console.warn(
+                        `The handle of ${fullPath} is only available after the page is loaded, ${staticHandle.error}.`
+                    );
+                    hasDynamicAuth = staticHandle.mentionsAuth;
+                } else if (staticHandle) {
+                    handle = staticHandle.value;
+                }
+
+                if (isGuard) {
+                    hasComponent = detectExports(source).has('Component');
+                }
+
+                if (enableDataApi) {
+                    dataExports = detectRouteDataExports(source);
+
+                    if (dataExports.length > 0 && NO_DATA_API_ROUTER_LIBS.includes(reactRouterLib)) {
+                        console.warn(
+                            `Data APIs are not supported by "${reactRouterLib}", ignored "${dataExports.join(
+                                '", "'
+                            )}" exported by ${fullPath}`
+                        );
+                        dataExports = [];
+                    }
+                }
+            }
+
+            let componentName = generateComponentName(relativePath, extensions);
+            if (isError) {
+                componentName += 'Boundary';
+            }
+
+            /*
+            if (isIndex) {
+                if (entry.name !== 'index.jsx' && entry.name !== 'index.lazy_.jsx') {
+                    throw new Error(`Index route does not support flat mode. File: ${fullPath}`);
+                }
+            }
+                */
+
+            let importPath = `./${path.join(routesDir, relativePath).replace(/\\/g, '/')}`;
+            if (RESOLVABLE_EXTENSIONS.includes(ext)) {
+                importPath = importPath.slice(0, -ext.length);
+            }
+
+            const slashPos = routePath.lastIndexOf('/');
+            const isFlatIndex = slashPos > 0 && !entry.name.startsWith('index.');
+
+            let route = {
+                path:
+                    isAnyDeeper || isNotFound
+                        ? routePath + (routePath.endsWith('/') ? '*' : '/*')
+                        : isIndex
+                        ? isFlatIndex
+                            ? routePath.substring(0, slashPos)
+                            : parentPath
+                        : routePath,
+                element: componentName,
+                importPath,
+                isLazy,
+                isLayout,
+                isError,
+                isLoading,
+                isGuard,
+                isIndex,
+                isAnyDeeper,
+                isNotFound,
+                isMdx,
+                dataExports,
+                handle,
+                hasDynamicAuth,
+                hasComponent,
+                file: path.relative(process.cwd(), fullPath).replace(/\\/g, '/'),
+            };
+
+            const relativeId = path.join(path.relative(process.cwd(), currentDir), baseName).replace(/\\/g, '/');
+
+            if (isNotFound) {
+                // the server entry renders the routes of not found pages with the status 404 by the id prefix
+                route.id = NOT_FOUND_ID_PREFIX + path.dirname(relativeId);
+            } else if (NAMED_SPLAT_REGEX.test(relativePath)) {
+                // the splat name is recovered from the route id by useRouteParams()
+                route.id = relativeId;
+            }
+
+            if (isIndex && isFlatIndex) {
+                route = {
+                    path: routePath.substring(0, slashPos),
+                    children: [route],
+                };
+            }
+
+            routes.push(route);
+        }
+    }
+
+    return routes;
+}
+
+/**
+ * Generate the content of the routes.runtime.jsx file.
+ * @returns {object} The code writer holding the code and the source map marks.
+ */
+function generateRoutesFileContent(
+    routes,
+    {
+        subRoutes,
+        subRouterImports = {},
+        isRoot,
+        enableSentry,
+        reactRouterLib,
+        runtimePagesDir,
+        routerType = 'browser',
+        routerOptions = {},
+        routerOptionsModule,
+        exportRoutesOnly = false,
+        server = false,
+        serverRouterLib = reactRouterLib,
+        auth,
+        redirects = [],
+        i18nRouting,
+        jsx = true,
+    }
+) {
+    // libs without data routers have no data APIs and route matching helpers
+    const hasDataRouter = !NO_DATA_API_ROUTER_LIBS.includes(reactRouterLib);
+
+    // virtual modules are not transformed as jsx, props are string or boolean literals only
+    const renderProp = (value) => (typeof value === 'string' ? quote(value) : String(value));
+    const renderElement = (componentName, props = {}) => {
+        if (jsx) {
+            const attrs = _.map(props, (value, key) =>
+                // jsx attribute strings have no escapes
+                typeof value === 'string' && !/["'\\\n]/.test(value)
+                    ? ` ${key}='${value}'`
+                    : ` ${key}={${renderProp(value)}}`
+            );
+            return code(`<${componentName}${attrs.join('')} />`);
+        }
+
+        const propList = _.map(props, (value, key) => `${key}: ${renderProp(value)}`);
+        return code(`React.createElement(${componentName}${propList.length > 0 ? `, { ${propList.join(', ')} }` : ''})`);
+    };
+
+    // statements as { code, source }, source is the page file mapped by the source map
+    const importStatements = [];
+    const lazyImports = [];
+    let hasLazyMdx = false;
+    let hasInlinedHandle = false;
+    const importSet = new Set();
+    const routeMergeMap = {};
+
+    function findNearestParent(start) {
+        if (routeMergeMap[start]) {
+            return start;
+        }
+
+        // the path may be nested in route groups, e.g. "/app" from "/(main)/app"
+        const groupedPath = _.findLast(
+            Object.keys(routeMergeMap),
+            (key) => !isRouteGroupPath(key) && stripRouteGroups(key) === start
+        );
+        if (groupedPath) {
+            return groupedPath;
+        }
+
+        if (start === '/') {
+            return '/';
+        }
+
+        let [parentPath] = splitLast(start, '/');
+        if (!parentPath) {
+            parentPath = '/';
+        }
+
+        return findNearestParent(parentPath);
+    }
+
+    function importPage(componentName, handleName, importPath, isMdx, dataExports = []) {
+        if (isMdx) {
+            // mdx modules export the page as default and may or may not export a handle
+            return (
+                `import ${componentName}, * as ${componentName}Module from ${quote(importPath)};\nconst ${handleName} = ${componentName}Module.handle;\n` +
+                dataExports
+                    .map((name) => `const ${name}${componentName} = ${componentName}Module.${name};\n`)
+                    .join('')
+            );
+        }
+
+        const importNames = [
+            `Component as ${componentName}`,
+            `handle as ${handleName}`,
+            ...dataExports.map((name) => `${name} as ${name}${componentName}`),
+        ];
+
+        return renderImport(importNames, importPath);
+    }
+
+    function lazyImportPage(componentName, importPath, isMdx, hasStaticHandle) {
+        let expression = `import(${quote(importPath)})`;
+
+        if (isMdx) {
+            hasLazyMdx = true;
+            expression += '.then(mdxRouteModule)';
+        }
+
+        if (hasStaticHandle) {
+            // the router warns about lazy properties defined by the route already
+            hasInlinedHandle = true;
+            expression += '.then(inlinedHandleModule)';
+        }
+
+        return declareLazy(`lazy${componentName}`, expression);
+    }
+
+    function declareLazy(name, expression) {
+        const statement = `const ${name} = () => ${expression};`;
+
+        // break after the arrow when exceeding the print width, the same as prettier
+        return statement.length > PRINT_WIDTH ? `const ${name} = () =>\n${INDENT}${expression};\n` : `${statement}\n`;
+    }
+
+    // loading fallbacks keyed by the path of their directory
+    const loadingComponents = {};
+    mapRoutes(routes, (route) => {
+        if (route.isLoading) {
+            loadingComponents[route.path] = route.element;
+        }
+        return route;
+    });
+
+    function findLoadingComponent(start) {
+        if (loadingComponents[start]) {
+            return loadingComponents[start];
+        }
+
+        if (start === '/' || !start) {
+            return null;
+        }
+
+        const [parentPath] = splitLast(start, '/');
+        return findLoadingComponent(parentPath || '/');
+    }
+
+    // React.lazy components suspend while loading, the fallback is the nearest loading component if any
+    function renderSuspense(componentName, fallbackName) {
+        if (jsx) {
+            const fallback = fallbackName ? `<${fallbackName} />` : 'null';
+            // elements with children are wrapped in parentheses over lines, the same as prettier
+            return codeLines([
+                '(',
+                `${INDENT}<React.Suspense fallback={${fallback}}>`,
+                `${INDENT}${INDENT}<${componentName} />`,
+                `${INDENT}</React.Suspense>`,
+                ')',
+            ]);
+        }
+
+        const fallback = fallbackName ? `React.createElement(${fallbackName})` : 'null';
+        return code(
+            `React.createElement(React.Suspense, { fallback: ${fallback} }, React.createElement(${componentName}))`
+        );
+    }
+
+    let hasAuthRoutes = false;
+
+    // marks a route to be wrapped by RequireAuth, with the roles allowed if any, guards are on with the "auth" option
+    function requireAuth(routeDef, handle, file, hasDynamicAuth = false) {
+        if (hasDynamicAuth && auth?.useAuth) {
+            // guards are generated from literal handles only, the route would not be guarded
+            throw new Error(
+                `The handle of "${file}" mentions "auth" or "roles" but is not a literal, declare them in a literal handle to guard the route.`
+            );
+        }
+
+        if (!handle || !(handle.auth || handle.roles)) {
+            return;
+        }
+
+        if (!auth?.useAuth) {
+            // e.g. roles kept in handles for menus of the app
+            console.warn(
+                `The "auth" or "roles" of "${file}" is not guarded, set the "auth" option with "useAuth" to turn on route guards.`
+            );
+            return;
+        }
+
+        hasAuthRoutes = true;
+        routeDef[GUARD] = { roles: handle.roles ? _.castArray(handle.roles) : null };
+    }
+
+    function renderRequireAuth({ roles }) {
+        const rolesCode = roles && `[${roles.map(quote).join(', ')}]`;
+
+        if (jsx) {
+            return code(roles ? `<RequireAuth roles={${rolesCode}} />` : '<RequireAuth />');
+        }
+
+        return code(
+            roles ? `React.createElement(RequireAuth, { roles: ${rolesCode} })` : 'React.createElement(RequireAuth)'
+        );
+    }
+
+    /**
+     * Wrap the routes marked by requireAuth and the routes below a guard in pathless routes, which are added as route
+     * groups of their directories, e.g. "/app/(guard)", so that tidyRoutes strips them the same as other route groups.
+     */
+    function applyGuards(routeDefs, parentPath = '/') {
+        const groupPath = (basePath, name) => `${basePath === '/' ? '' : basePath}/(${name})`;
+        const wrapRequireAuth = (routeDef, basePath) =>
+            routeDef[GUARD]
+                ? {
+                      path: groupPath(basePath, 'auth'),
+                      element: renderRequireAuth(routeDef[GUARD]),
+                      children: [routeDef],
+                  }
+                : routeDef;
+
+        return routeDefs.map((routeDef) => {
+            if (routeDef[CODE] != null) {
+                return routeDef;
+            }
+
+            const routePath = routeDef.path ?? parentPath;
+
+            if (routeDef.children) {
+                routeDef.children = applyGuards(routeDef.children, routePath);
+
+                const guardDef = routeDef[CHILD_GUARD];
+                if (guardDef) {
+                    const guardRoute = { ...guardDef, path: groupPath(routePath, 'guard') };
+                    guardRoute.children = routeDef.children;
+                    routeDef.children = [wrapRequireAuth(guardRoute, routePath)];
+                }
+            }
+
+            return wrapRequireAuth(routeDef, parentPath);
+        });
+    }
+
+    /**
+     * Copy a page route for the translated segments of its literal handle, e.g. "/app/einstellungen" of "/app/settings"
+     * with handle.translatedSegment as { de: 'einstellungen' }.
+     */
+    function translateRoute(routeDef, handle, isIndex, file) {
+        const translatedSegment = i18nRouting && handle?.translatedSegment;
+        if (!translatedSegment) {
+            return [];
+        }
+
+        const [dir, segment] = splitLast(routeDef.path, '/');
+        if (isIndex || segment.startsWith(':') || segment === '*') {
+            throw new Error(
+                `"translatedSegment" of "${file}" is only supported by pages ending with a static segment.`
+            );
+        }
+
+        return _.map(translatedSegment, (translated, lang) => {
+            const isSegment = typeof translated === 'string' && /^[^/:*?]+$/.test(translated);
+            if (!i18nRouting.languages.includes(lang) || !isSegment) {
+                throw new Error(
+                    `Invalid "translatedSegment.${lang}" of "${file}", expected a static segment of one of the languages: ${i18nRouting.languages.join(', ')}.`
+                );
+            }
+
+            const translatedDef = { ...routeDef, path: `${dir}/${translated}` };
+            if (routeDef.id) {
+                translatedDef.id = `${routeDef.id}.${lang}`;
+            }
+            return translatedDef;
+        });
+    }
+
+    function dataRouteProps(componentName, dataExports = []) {
+        return _.fromPairs(dataExports.map((name) => [name, code(`${name}${componentName}`)]));
+    }
+
+    function processRoutes(routes) {
+        const routeDefinitions = [];
+        const _deferred = [];
+
+        for (const route of routes) {
+            const routeDef = {};
+            let merged = false;
+            let isNode = false;
+            let translatedDefs = [];
+
+            const {
+                id,
+                path,
+                element,
+                importPath,
+                isLazy,
+                isLayout,
+                isError,
+                isLoading,
+                isGuard,
+                isIndex,
+                isMdx,
+                dataExports,
+                handle: staticHandle,
+                hasDynamicAuth,
+                hasComponent,
+                file,
+                children,
+            } = route;
+
+            if (id) {
+                routeDef.id = id;
+            }
+
+            const addImport = (statement) => importStatements.push({ code: statement, source: file });
+            const addLazyImport = (statement) => lazyImports.push({ code: statement, source: file });
+
+            // 处理路径或索引
+            routeDef.path = path;
+
+            let [parentPath] = splitLast(routeDef.path, '/');
+            if (!parentPath) {
+                parentPath = '/';
+            }
+
+            // 处理元素
+            if (importPath && element) {
+                const componentName = element;
+
+                if (isError) {
+                    // 处理错误元素
+                    if (!importSet.has(importPath)) {
+                        if (isLazy) {
+                            addLazyImport(`const ${componentName} = React.lazy(() => import(${quote(importPath)}));\n`);
+                        } else {
+                            addImport(`import ${componentName} from ${quote(importPath)};\n`);
+                        }
+                        importSet.add(importPath);
+                    }
+
+                    const errorElement = isLazy
+                        ? renderSuspense(componentName, findLoadingComponent(routeDef.path))
+                        : renderElement(componentName);
+
+                    if (routeMergeMap[routeDef.path]) {
+                        routeMergeMap[routeDef.path].errorElement = errorElement;
+                        merged = true;
+                    } else {
+                        // 将 errorElement 分配给当前路由
+                        routeDef.errorElement = errorElement;
+                        routeMergeMap[routeDef.path] = routeDef;
+                    }
+                } else if (isLoading) {
+                    // the fallback of the lazy children of the directory while the app is hydrated
+                    if (!importSet.has(importPath)) {
+                        addImport(
+                            isMdx
+                                ? `import ${componentName} from ${quote(importPath)};\n`
+                                : renderImport([`Component as ${componentName}`], importPath)
+                        );
+                        importSet.add(importPath);
+                    }
+
+                    if (routeMergeMap[routeDef.path]) {
+                        // a HydrateFallback exported by the layout itself takes precedence
+                        _.defaults(routeMergeMap[routeDef.path], { HydrateFallback: code(componentName) });
+                        merged = true;
+                    } else {
+                        routeDef.HydrateFallback = code(componentName);
+                        routeMergeMap[routeDef.path] = routeDef;
+                    }
+                } else if (isGuard) {
+                    // wraps the routes of the directory, with its component and data APIs, or only with handle.auth
+                    const guardDef = { [ROUTE_SOURCE]: file };
+
+                    if (isLazy) {
+                        if (!importSet.has(importPath)) {
+                            addLazyImport(lazyImportPage(componentName, importPath, isMdx, staticHandle !== undefined));
+                            importSet.add(importPath);
+                        }
+                        guardDef.lazy = code('lazy' + componentName);
+                    } else {
+                        const importNames = [
+                            ...(hasComponent ? [`Component as ${componentName}`] : []),
+                            ...dataExports.map((name) => `${name} as ${name}${componentName}`),
+                        ];
+                        if (!importSet.has(importPath) && importNames.length > 0) {
+                            addImport(renderImport(importNames, importPath));
+                            importSet.add(importPath);
+                        }
+                        if (hasComponent) {
+                            guardDef.element = renderElement(componentName);
+                        }
+                        Object.assign(guardDef, dataRouteProps(componentName, dataExports));
+                    }
+
+                    if (staticHandle !== undefined) {
+                        guardDef.handle = staticHandle;
+                    }
+                    requireAuth(guardDef, staticHandle, file, hasDynamicAuth);
+
+                    if (routeMergeMap[routeDef.path]) {
+                        routeMergeMap[routeDef.path][CHILD_GUARD] = guardDef;
+                        merged = true;
+                    } else {
+                        routeDef[CHILD_GUARD] = guardDef;
+                        routeMergeMap[routeDef.path] = routeDef;
+                    }
+                } else if (isLayout) {
+                    // 处理布局和 handle
+                    const layoutDef = {};
+
+                    if (isLazy) {
+                        // Component, handle and data APIs all come from the lazy module
+                        if (!importSet.has(importPath)) {
+                            addLazyImport(lazyImportPage(componentName, importPath, isMdx, staticHandle !== undefined));
+                            importSet.add(importPath);
+                        }
+                        if (staticHandle !== undefined) {
+                            layoutDef.handle = staticHandle;
+                        }
+                        layoutDef.lazy = code('lazy' + componentName);
+                    } else {
+                        const handleName = `handle${componentName}`;
+                        if (!importSet.has(importPath)) {
+                            addImport(importPage(componentName, handleName, importPath, isMdx, dataExports));
+                            importSet.add(importPath);
+                        }
+                        layoutDef.element = renderElement(componentName);
+                        layoutDef.handle = code(handleName);
+                        Object.assign(layoutDef, dataRouteProps(componentName, dataExports));
+                    }
+
+                    requireAuth(layoutDef, staticHandle, file, hasDynamicAuth);
+
+                    if (routeMergeMap[routeDef.path]) {
+                        Object.assign(routeMergeMap[routeDef.path], layoutDef);
+                        merged = true;
+                    } else {
+                        Object.assign(routeDef, layoutDef);
+                        routeMergeMap[routeDef.path] = routeDef;
+                    }
+                } else if (isLazy) {
+                    // 处理懒加载组件, data APIs are resolved by the router from the lazy module
+                    if (!importSet.has(importPath)) {
+                        addLazyImport(lazyImportPage(componentName, importPath, isMdx, staticHandle !== undefined));
+                        importSet.add(importPath);
+                    }
+                    if (staticHandle !== undefined) {
+                        routeDef.handle = staticHandle;
+                    }
+                    routeDef.lazy = code('lazy' + componentName);
+                    requireAuth(routeDef, staticHandle, file, hasDynamicAuth);
+                    translatedDefs = translateRoute(routeDef, staticHandle, isIndex, file);
+                    isNode = true;
+                } else {
+                    // 普通组件
+                    const handleName = `handle${componentName}`;
+                    if (!importSet.has(importPath)) {
+                        addImport(importPage(componentName, handleName, importPath, isMdx, dataExports));
+                        importSet.add(importPath);
+                    }
+                    routeDef.element = renderElement(componentName);
+                    routeDef.handle = code(handleName);
+                    Object.assign(routeDef, dataRouteProps(componentName, dataExports));
+                    requireAuth(routeDef, staticHandle, file, hasDynamicAuth);
+                    translatedDefs = translateRoute(routeDef, staticHandle, isIndex, file);
+                    isNode = true;
+                }
+
+                // the route object is mapped back to its layout, or the first page file merged into it
+                const target = merged ? routeMergeMap[routeDef.path] : routeDef;
+                if (file && (!target[ROUTE_SOURCE] || isLayout)) {
+                    target[ROUTE_SOURCE] = file;
+                }
+            }
+
+            // 处理子路由
+            if (children && children.length > 0) {
+                if (routeMergeMap[routeDef.path]) {
+                    routeMergeMap[routeDef.path].children = processRoutes(children);
+                } else {
+                    routeMergeMap[routeDef.path] = routeDef;
+                    const moreChildren = processRoutes(children);
+                    routeDef.children = [...(routeDef.children || []), ...moreChildren];
+
+                    if (!routeMergeMap[parentPath]) {
+                        _deferred.push({ parentPath, routeDef });
+                    } else {
+                        routeMergeMap[parentPath].children = [
+                            ...(routeMergeMap[parentPath].children || []),
+                            routeDef,
+                        ];
+                    }
+                }
+
+                merged = true;
+            }
+
+            if (isNode) {
+                let p = parentPath;
+
+                if (isIndex) {
+                    routeDef.index = true;
+                    p = routeDef.path;
+                    delete routeDef.path;
+                }
+
+                const nodeDefs = [routeDef, ...translatedDefs];
+                const _parentPath = findNearestParent(p);
+                if (!routeMergeMap[_parentPath]) {
+                    // the layout of the parent may come later, e.g. "[id].jsx" is sorted before "_layout.jsx"
+                    nodeDefs.forEach((nodeDef) => _deferred.push({ parentPath: p, routeDef: nodeDef }));
+                } else {
+                    routeMergeMap[_parentPath].children = [...(routeMergeMap[_parentPath].children || []), ...nodeDefs];
+                }
+            } else if (!merged) {
+                // 添加到路由定义数组
+                routeDefinitions.push(routeDef);
+            }
+        }
+
+        if (_deferred.length > 0) {
+            for (const { parentPath, routeDef } of _deferred) {
+                const _parentPath = findNearestParent(parentPath);
+                routeMergeMap[_parentPath].children = [...(routeMergeMap[_parentPath].children || []), routeDef];
+            }
+        }
+
+        return routeDefinitions;
+    }
+
+    const _routes = processRoutes(routes);
+
+    if (subRoutes) {
+        for (let _path in subRoutes) {
+            const routeInfo = subRoutes[_path];
+
+            const componentName = getSubRouterComponentName(_path);
+            const importPath = (
+                subRouterImports[_path] ||
+                './' +
+                    (isLocalModule(routeInfo)
+                        ? routeInfo.importPath + '/sub-routes.runtime'
+                        : runtimePagesDir + '/' + _.kebabCase(_path) + '/sub-routes.runtime')
+            ).replace(/\\/g, '/');
+
+            let routeDef = {
+                path: _path,
+            };
+            requireAuth(routeDef, routeInfo, `sub-router ${_path}`);
+
+            if (routeInfo.isLazy) {
+                if (!routeInfo.defaultRoute || routeInfo.defaultRoute === '/') {
+                    throw new Error(
+                        `Default route is required for lazy sub-routes: "${_path}" and it should not be "/".`
+                    );
+                }
+
+                const redirectPath = path.join(_path, routeInfo.defaultRoute).replace(/\\/g, '/');
+                routeDef.children = [{ index: true, element: renderElement('Navigate', { to: redirectPath }) }];
+
+                if (server) {
+                    // lazy sub-routers are resolved eagerly on the server
+                    importStatements.push({ code: `import subRoutes${componentName} from ${quote(importPath)};\n` });
+                    routeDef.children.push(code(`...subRoutes${componentName}`));
+                } else {
+                    lazyImports.push({ code: declareLazy(`lazy${componentName}`, `import(${quote(importPath)})`) });
+                    routeDef.handle = { lazyRouting: code(`lazy${componentName}`) };
+                }
+            } else {
+                importStatements.push({ code: `import ${componentName} from ${quote(importPath)};\n` });
+                routeDef.element = renderElement(componentName);
+            }
+
+            importSet.add(importPath);
+
+            if (routeMergeMap[_path]) {
+                throw new Error(`Duplicate route path: ${_path}`);
+            }
+
+            const _parentPath = findNearestParent(_path);
+            routeMergeMap[_parentPath].children = [...(routeMergeMap[_parentPath].children || []), routeDef];
+        }
+    }
+
+    redirects.forEach(({ from, to, replace }) => {
+        if (routeMergeMap[from]) {
+            throw new Error(`Duplicate route path: ${from}`);
+        }
+
+        const routeDef = { path: from, element: renderElement('Redirect', replace ? { to } : { to, replace }) };
+        const _parentPath = findNearestParent(from);
+
+        if (routeMergeMap[_parentPath]) {
+            routeMergeMap[_parentPath].children = [...(routeMergeMap[_parentPath].children || []), routeDef];
+        } else {
+            _routes.push(routeDef);
+        }
+    });
+
+    let routesArray = tidyRoutes(applyGuards(_routes), isRoot);
+
+    if (isRoot && i18nRouting) {
+        // all routes are mounted under the language segment, e.g. "/:lang/app", urls without one are caught by "/*"
+        const langSegment = `/:${i18nRouting.param}`;
+        const prefixPaths = (routeDefs) =>
+            routeDefs.map((routeDef) => {
+                if (routeDef[CODE] != null) {
+                    return routeDef;
+                }
+
+                const prefixed = { ...routeDef };
+                if (typeof routeDef.path === 'string') {
+                    prefixed.path = routeDef.path === '/' ? langSegment : langSegment + routeDef.path;
+                }
+                if (routeDef.children) {
+                    prefixed.children = prefixPaths(routeDef.children);
+                }
+                return prefixed;
+            });
+
+        routesArray = [
+            { path: langSegment, element: renderElement('LocaleRoute'), children: prefixPaths(routesArray) },
+            { path: '/*', element: renderElement('LocaleRoute') },
+        ];
+    }
+
+    const createRouterName = ROUTER_FACTORIES[routerType];
+    let createRouter;
+
+    // used by the helpers of the root router, prefetchRoute and useRouteParams need the data APIs
+    const helperImports = hasDataRouter
+        ? ['matchRoutes', 'matchPath', 'useParams', 'useMatches', 'Navigate']
+        : ['Navigate'];
+    // used by RequireAuth, Redirect and LocaleRoute
+    const componentImports = _.uniq([
+        ...(hasAuthRoutes ? ['Navigate', 'Outlet', 'useLocation'] : []),
+        ...(hasAuthRoutes && hasDataRouter ? ['UNSAFE_DataRouterContext'] : []),
+        ...(redirects.length > 0 ? ['Navigate', 'generatePath', 'useLocation', 'useParams'] : []),
+        ...(isRoot && i18nRouting ? ['Navigate', 'Outlet', 'useLocation', 'useParams'] : []),
+    ]);
+
+    if (isRoot) {
+        helperImports.push(..._.without(componentImports, ...helperImports));
+    }
+
+    if (isRoot && server) {
+        const serverImports = ['createStaticHandler', 'createStaticRouter', 'StaticRouterProvider'];
+
+        importStatements.push({
+            code:
+                serverRouterLib === reactRouterLib
+                    ? renderImport([...serverImports, ...helperImports], reactRouterLib)
+                    : renderImport(helperImports, reactRouterLib) + renderImport(serverImports, serverRouterLib),
+        });
+    } else if (isRoot && exportRoutesOnly) {
+        // the app creates the router itself
+        importStatements.push({ code: renderImport(helperImports, reactRouterLib) });
+    } else if (isRoot) {
+        if (enableSentry) {
+            importStatements.push({
+                code:
+                    renderImport(
+                        _.uniq([
+                            createRouterName,
+                            'createRoutesFromChildren',
+                            'matchRoutes',
+                            'useLocation',
+                            'useNavigationType',
+                            ...helperImports,
+                        ]),
+                        reactRouterLib
+                    ) +
+                    `import { Runtime } from '@xgent/grafton';
+import * as Sentry from '@sentry/react';\n`,
+            });
+
+            createRouter = `let _createRouter;
+
+const sentryConfig = Runtime.config.sentry;
+if (!Runtime.isDevMode && sentryConfig && sentryConfig.dsn) {
+    Sentry.init({
+        integrations: [
+            Sentry.browserTracingIntegration(),
+            Sentry.replayIntegration(),
+            Sentry.reactRouterV7BrowserTracingIntegration({
+                useEffect: React.useEffect,
+                useLocation,
+                useNavigationType,
+                createRoutesFromChildren,
+                matchRoutes,
+            }),
+        ],
+        tracesSampleRate: 1.0,
+        replaysSessionSampleRate: 0.1,
+        replaysOnErrorSampleRate: 1.0,
+        ...sentryConfig,
+    });
+
+    Runtime.sentry = Sentry;
+
+    _createRouter = Sentry.${SENTRY_ROUTER_WRAPPERS[routerType]}(${createRouterName});
+} else {
+    _createRouter = ${createRouterName};
+}
+
+const router = import.meta.hot?.data.router || _createRouter(routes, routerOptions);\n`;
+        } else {
+            importStatements.push({ code: renderImport([createRouterName, ...helperImports], reactRouterLib) });
+            createRouter = `const router = import.meta.hot?.data.router || ${createRouterName}(routes, routerOptions);\n`;
+        }
+    }
+
+    if (!isRoot && componentImports.length > 0) {
+        importStatements.push({ code: renderImport(componentImports, reactRouterLib) });
+    }
+
+    if (hasAuthRoutes) {
+        importStatements.push({ code: renderImport(['useAuth'], auth.useAuth) });
+        if (auth.forbidden) {
+            importStatements.push({ code: renderImport(['Forbidden as AuthForbidden'], auth.forbidden) });
+        }
+    }
+
+    if (isRoot && !server && !exportRoutesOnly && routerOptionsModule) {
+        importStatements.push({ code: `import moduleRouterOptions from ${quote(routerOptionsModule)};\n` });
+    }
+
+    // 生成最终的文件内容
+    const writer = createCodeWriter();
+    const writeStatements = (statements) => {
+        for (const { code: statement, source } of statements) {
+            if (source) {
+                writer.mark(source);
+            }
+            writer.write(statement);
+        }
+    };
+
+    writer.write(`import React from 'react';\n`);
+    writeStatements(importStatements);
+    if (lazyImports.length > 0) {
+        writer.write('\n');
+        if (hasLazyMdx) {
+            // mdx modules export the page as default
+            writer.write(
+                'const mdxRouteModule = ({ default: Component, ...others }) => ({ Component, ...others });\n'
+            );
+        }
+        if (hasInlinedHandle) {
+            // literal handles are inlined into the routes of lazy pages
+            writer.write('const inlinedHandleModule = ({ handle, ...others }) => others;\n');
+        }
+        writeStatements(lazyImports);
+    }
+    writer.write('\n');
+
+    if (hasAuthRoutes) {
+        const { pathLogin = '/login', returnUrlParam = 'returnUrl' } = auth;
+        const loginUrl = pathLogin + (pathLogin.includes('?') ? '&' : '?') + returnUrlParam + '=';
+
+        if (!auth.forbidden) {
+            // rendered for users without the roles of a route, unless the app has its own
+            writer.write(`const AuthForbidden = () => React.createElement('h1', null, 'Forbidden');\n\n`);
+        }
+
+        // the static context of the server router carries the status of the response
+        const forbiddenStatus = hasDataRouter
+            ? `
+        const staticContext = dataRouter?.staticContext;
+        if (staticContext) {
+            staticContext.statusCode = 403;
+        }`
+            : '';
+
+        writer.write(`// routes with handle.auth or handle.roles are wrapped by it, users not signed in are redirected to the login page
+const RequireAuth = ({ roles }) => {
+    const { isAuthenticated, roles: userRoles = [] } = useAuth();
+    const location = useLocation();${hasDataRouter ? '\n    const dataRouter = React.useContext(UNSAFE_DataRouterContext);' : ''}
+
+    if (!isAuthenticated) {
+        const returnUrl = location.pathname + location.search + location.hash;
+        return React.createElement(Navigate, {
+            to: ${quote(loginUrl)} + encodeURIComponent(returnUrl),
+            replace: true,
+        });
+    }
+
+    // rendered instead of thrown, as only errors thrown by loaders and actions are route error responses
+    if (roles && !roles.some((role) => userRoles.includes(role))) {${forbiddenStatus}
+        return React.createElement(AuthForbidden);
+    }
+
+    return React.createElement(Outlet);
+};
+
+`);
+    }
+
+    if (redirects.length > 0) {
+        writer.write(`// routes of the redirects, params and the splat of the old url are carried over to the new one
+const Redirect = ({ to, replace = true }) => {
+    const params = useParams();
+    const location = useLocation();
+
+    return React.createElement(Navigate, {
+        to: generatePath(to, params) + location.search + location.hash,
+        replace,
+    });
+};
+
+`);
+    }
+
+    if (isRoot) {
+        writer.write(`// mount routes of lazy sub-routers already patched with their routes
+const patchedRoutes = new WeakSet();
+
+export const lazyRouting = async ({ patch, matches }) => {
+    let leafRoute = matches[matches.length - 1]?.route;
+
+    if (leafRoute?.handle?.lazyRouting && !patchedRoutes.has(leafRoute)) {
+        const { default: children } = await leafRoute.handle.lazyRouting();
+        patchedRoutes.add(leafRoute);
+        patch(leafRoute.id, children);
+    }
+};
+
+`);
+    }
+
+    if (isRoot && hasDataRouter) {
+        // the router to patch sub-routers into ahead of navigation
+        const prefetchRouter = server || exportRoutesOnly ? 'targetRouter' : 'targetRouter = router';
+
+        writer.write(`const findRoute = (routes, predicate) => {
+    for (const route of routes) {
+        const found = predicate(route) ? route : route.children && findRoute(route.children, predicate);
+        if (found) {
+            return found;
+        }
+    }
+};
+
+const loadLazyRoutes = (routes, pathname) =>
+    Promise.all((matchRoutes(routes, pathname) || []).map(({ route }) => route.lazy?.()));
+
+/**
+ * Load the lazy pages and lazy sub-routers of a path ahead of navigation, e.g. when hovering a link.
+ * Lazy sub-routers are patched into the router, or only loaded if there is no router, e.g. with exportRoutesOnly.
+ * @param {string} pathname - The path to navigate to, e.g. "/app/editor/workspace".
+ * @param {object} [targetRouter] - The router created from the routes.
+ */
+export const prefetchRoute = async (pathname, ${prefetchRouter}) => {
+    const routeTree = targetRouter ? targetRouter.routes : routes;
+    await loadLazyRoutes(routeTree, pathname);
+
+    // paths of a lazy sub-router only match its mount route partially before it is patched
+    const mountRoute = findRoute(
+        routeTree,
+        (route) => route.handle?.lazyRouting && matchPath({ path: route.path, end: false }, pathname),
+    );
+    if (!mountRoute || patchedRoutes.has(mountRoute)) {
+        return;
+    }
+
+    const { default: children } = await mountRoute.handle.lazyRouting();
+    if (targetRouter && !patchedRoutes.has(mountRoute)) {
+        patchedRoutes.add(mountRoute);
+        targetRouter.patchRoutes(mountRoute.id, children);
+    }
+
+    const { pathnameBase } = matchPath({ path: mountRoute.path, end: false }, pathname);
+    await loadLazyRoutes(children, pathname.substring(pathnameBase.length) || '/');
+};
+
+export const useRouteParams = () => {
+    const params = useParams();
+    const matches = useMatches();
+    const splat = params['*'];
+
+    if (splat == null) {
+        return params;
+    }
+
+    // named splats, e.g. [...rest], are kept in the route id
+    const namedParams = { ...params };
+    matches.forEach(({ id }) => {
+        const pos = id.lastIndexOf('[...');
+        if (pos !== -1) {
+            namedParams[id.substring(pos + 4, id.indexOf(']', pos))] = splat;
+        }
+    });
+
+    return namedParams;
+};
+
+`);
+    }
+
+    if (isRoot && i18nRouting) {
+        const { languages, defaultLanguage, param } = i18nRouting;
+        // patched lazy sub-routers are only known by the router
+        const currentRoutes = server || exportRoutesOnly ? 'routes' : 'router.routes';
+
+        writer.write(`const languages = [${languages.map(quote).join(', ')}];
+const defaultLanguage = ${quote(defaultLanguage)};
+// the language of the last url with a language, kept by urls without one, e.g. of absolute redirects
+let currentLanguage;
+
+const findLanguage = (candidates) =>
+    candidates.flatMap((candidate) => [candidate, candidate.split('-')[0]]).find((lang) => languages.includes(lang));
+
+const detectLanguage = () =>
+    currentLanguage ||
+    findLanguage(typeof navigator === 'undefined' ? [] : navigator.languages || []) ||
+    defaultLanguage;
+
+/**
+ * Build the url of a path in a language, with the translated segment of the page if it has one.
+ * @param {string} pathname - The path without language, e.g. "/app/settings".
+ * @param {string} [lang] - The language, default as the one of the current url, or the detected one.
+ * @returns {string} e.g. "/de/app/einstellungen" with handle.translatedSegment of the page as { de: 'einstellungen' }.
+ */
+export const localizePath = (pathname, lang = detectLanguage()) => {
+    const localized = \`/\${lang}\${pathname === '/' ? '' : pathname}\`;
+    const matches = matchRoutes(${currentRoutes}, localized);
+    const translated = matches?.[matches.length - 1].route.handle?.translatedSegment?.[lang];
+
+    return translated ? localized.replace(/[^/]+\\/?$/, translated) : localized;
+};
+
+/**
+ * Get localizePath in the language of the current url.
+ */
+export const useLocalizedPath = () => {
+    const lang = useParams().${param};
+    return (pathname) => localizePath(pathname, languages.includes(lang) ? lang : undefined);
+};
+
+// the route of the language segment, urls without a configured language are redirected to the current or detected one
+const LocaleRoute = () => {
+    const lang = useParams().${param};
+    const location = useLocation();
+
+    if (languages.includes(lang)) {
+        currentLanguage = lang;
+        return React.createElement(Outlet);
+    }
+
+    // urls of a configured language matching no route, rendered as not found by the server entry
+    if (languages.includes(location.pathname.split('/')[1])) {
+        return null;
+    }
+
+    return React.createElement(Navigate, {
+        to: localizePath(location.pathname) + location.search + location.hash,
+        replace: true,
+    });
+};
+
+`);
+    }
+
+    writer.write(`const ${isRoot ? 'routes' : 'subRoutes'} = `);
+    emitValue(writer, routesArray);
+    writer.write(';\n\n');
+
+    if (isRoot && server) {
+        let localeRedirect = '';
+        if (i18nRouting) {
+            const basePath = _.trimEnd(routerOptions.basename || '/', '/');
+            const pathnameCode = basePath ? `pathname.substring(${basePath.length}) || '/'` : 'pathname';
+
+            localeRedirect = `
+    // urls without a configured language are redirected to the language accepted by the client, or the default one
+    const { pathname, search } = new URL(request.url);
+    const localePath = ${pathnameCode};
+    if (!languages.includes(localePath.split('/')[1])) {
+        const accepted = (request.headers.get('accept-language') || '')
+            .split(',')
+            .map((part) => part.split(';')[0].trim());
+        const location = ${basePath ? quote(basePath) + ' + ' : ''}localizePath(localePath, findLanguage(accepted) || defaultLanguage);
+        return { response: new Response(null, { status: 302, headers: { Location: location + search } }) };
+    }
+
+    // urls of a configured language matching no route
+    if (context.statusCode === 200 && !context.matches[0]?.params.${i18nRouting.param}) {
+        context.statusCode = 404;
+    }
+`;
+        }
+
+        writer.write('export const staticHandler = createStaticHandler(routes, ');
+        emitValue(writer, _.pick(routerOptions, ['basename', 'future']));
+        writer.write(`);
+
+/**
+ * Run the loaders matching a request, returns the response of a redirect or the router to render the request.
+ * @param {Request} request
+ */
+export async function createServerRouter(request) {
+    const context = await staticHandler.query(request);
+    if (context instanceof Response) {
+        return { response: context };
+    }
+${localeRedirect}
+    // pages of _notfound files are matched by their splat path, but rendered as not found
+    const leafRoute = context.matches[context.matches.length - 1]?.route;
+    if (context.statusCode === 200 && leafRoute?.id?.startsWith(${quote(NOT_FOUND_ID_PREFIX)})) {
+        context.statusCode = 404;
+    }
+
+    return { router: createStaticRouter(staticHandler.dataRoutes, context), context };
+}
+
+export { StaticRouterProvider };
+
+export default routes;
+`);
+    } else if (isRoot && exportRoutesOnly) {
+        writer.write('export default routes;\n');
+    } else if (isRoot) {
+        // lazy sub-routers are patched on navigation
+        writer.write('const routerOptions = ');
+        emitValue(writer, {
+            ...routerOptions,
+            [SPREAD]: routerOptionsModule ? 'moduleRouterOptions' : undefined,
+            patchRoutesOnNavigation: code('lazyRouting'),
+        });
+        writer.write(';\n\n');
+
+        writer.write(`${createRouter}
+// keep the router and its state on hot updates, only the routes are replaced
+if (import.meta.hot) {
+    if (import.meta.hot.data.router) {
+        if (router._internalSetRoutes) {
+            router._internalSetRoutes(routes);
+            router.revalidate();
+        } else {
+            import.meta.hot.invalidate();
+        }
+    }
+
+    import.meta.hot.data.router = router;
+    import.meta.hot.accept();
+}
+
+export default router;
+`);
+    } else {
+        writer.write('export default subRoutes;\n');
+    }
+
+    return writer;
+}
+
+const VIRTUAL_ROUTES_ID = 'virtual:file-routes';
+const SERVER_ENTRY_FILE = 'router.server.runtime.jsx';
+const PRERENDER_ID = 'virtual:file-routes-prerender';
+const SSR_SERVER_PLUGIN = 'vite-plugin-file-based-react-router:ssr-server';
+const SSR_OUTLET = '<!--ssr-outlet-->';
+const ROOT_ELEMENT_REGEX = /(<div id="root">)\s*(<\/div>)/;
+const REGENERATE_DEBOUNCE_MS = 100;
+const PACKAGE_ALIAS = '@package@';
+// redirects of a routes module, next to its pages directory
+const REDIRECTS_FILE = '_redirects.json';
+
+const DEFAULT_EXTENSIONS = ['.jsx'];
+
+// [...name] or [[...name]]
+const NAMED_SPLAT_REGEX = /\[\[?\.\.\.(\w+)\]\]?/;
+const LAZY_SUFFIX = '.lazy_';
+// route ids of not found pages, followed by their directory
+const NOT_FOUND_ID_PREFIX = '_notfound:';
+
+// identifiers declared by the generated routes module
+const RESERVED_IDENTIFIERS = [
+    'React',
+    'Navigate',
+    'Runtime',
+    'Sentry',
+    'routes',
+    'subRoutes',
+    'router',
+    'lazyRouting',
+    'useRouteParams',
+    'mdxRouteModule',
+    'inlinedHandleModule',
+    'routerOptions',
+    'moduleRouterOptions',
+    '_createRouter',
+    'patchedRoutes',
+    'findRoute',
+    'loadLazyRoutes',
+    'prefetchRoute',
+    'RequireAuth',
+    'AuthForbidden',
+    'UNSAFE_DataRouterContext',
+    'Redirect',
+    'generatePath',
+    'useAuth',
+    'Outlet',
+    'useLocation',
+    'matchRoutes',
+    'matchPath',
+    'useParams',
+    'useMatches',
+    'LocaleRoute',
+    'languages',
+    'defaultLanguage',
+    'currentLanguage',
+    'findLanguage',
+    'detectLanguage',
+    'localizePath',
+    'useLocalizedPath',
+    'createStaticHandler',
+    'createStaticRouter',
+    'StaticRouterProvider',
+    'staticHandler',
+    'createServerRouter',
+];
+
+// router factories of the router lib, keyed by routerType
+const ROUTER_FACTORIES = {
+    browser: 'createBrowserRouter',
+    hash: 'createHashRouter',
+    memory: 'createMemoryRouter',
+};
+
+// sentry wrappers of the router factories, a hash router is traced the same as a browser router
+const SENTRY_ROUTER_WRAPPERS = {
+    browser: 'wrapCreateBrowserRouterV7',
+    hash: 'wrapCreateBrowserRouterV7',
+    memory: 'wrapCreateMemoryRouterV7',
+};
+
+// extensions vite resolves without being spelled out in the import path
+const RESOLVABLE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+// named exports of a route module wired into the route object, https://reactrouter.com/start/data/route-object
+const ROUTE_DATA_EXPORTS = ['loader', 'action', 'shouldRevalidate', 'ErrorBoundary', 'HydrateFallback'];
+
+// router libs without data router APIs
+const NO_DATA_API_ROUTER_LIBS = ['@xgent/router-lite'];
+
+/**
+ * Detect the data API named exports of a route module by scanning its source.
+ * @param {string} source - The source code of the route module.
+ * @returns {string[]} The detected exports, in the order of ROUTE_DATA_EXPORTS.
+ */
+function detectRouteDataExports(source) {
+    const exported = detectExports(source);
+    return ROUTE_DATA_EXPORTS.filter((name) => exported.has(name));
+}
+
+/**
+ * Detect the named exports of a module by scanning its source.
+ * @param {string} source
+ * @returns {Set<string>}
+ */
+function detectExports(source) {
+    const exported = new Set();
+
+    // export function loader() {}, export const action = ...
+    const declRegex = /export\s+(?:async\s+)?(?:function\s*\*?|const|let|var|class)\s*([A-Za-z_$][\w$]*)/g;
+    for (const [, name] of source.matchAll(declRegex)) {
+        exported.add(name);
+    }
+
+    // export { loader, fetchData as action } [from '...']
+    const listRegex = /export\s*\{([^}]*)\}/g;
+    for (const [, list] of source.matchAll(listRegex)) {
+        list.split(',').forEach((item) => {
+            const [name, alias] = item.trim().split(/\s+as\s+/);
+            if (name) {
+                exported.add(alias || name);
+            }
+        });
+    }
+
+    return exported;
+}
+
+// e.g. { auth: true }, { roles }
+const AUTH_KEYS_REGEX = /\b(?:auth|roles)\s*[:,}]/;
+
+/**
+ * Extract the value of a literal handle export, e.g. `export const handle = { crumb: 'Home' }`, from the source of a route module.
+ * Only objects, arrays, strings, numbers, booleans, null and undefined are literals, anything else is only known at runtime.
+ * @param {string} source - The source code of the route module.
+ * @returns {{ value: any }|{ error: string, mentionsAuth: boolean }|null} The value, the reason it is not a literal and whether
+ * its initializer mentions auth or roles, or null if handle is not exported.
+ */
+function extractStaticHandle(source) {
+    const found = /export\s+(?:const|let|var)\s+handle\b\s*(?::[^=]*)?=/.exec(source);
+
+    if (!found) {
+        return detectExports(source).has('handle')
+            ? { error: 'it is not declared as "export const handle = ..."', mentionsAuth: handleMentionsAuth(source) }
+            : null;
+    }
+
+    const parser = createLiteralParser(source, found.index + found[0].length);
+
+    try {
+        const value = parser.parseValue();
+        parser.expectEnd();
+        return { value };
+    } catch (error) {
+        return { error: error.message, mentionsAuth: handleMentionsAuth(source) };
+    }
+}
+
+/**
+ * Check whether the handle exported by a route module sets auth or roles, only its initializer and assignments to its
+ * properties are checked, e.g. `const { auth } = useSession()` in the component is not about the handle.
+ * @param {string} source - The source code of the route module.
+ * @returns {boolean}
+ */
+function handleMentionsAuth(source) {
+    let localName = 'handle';
+    let found = /export\s+(?:const|let|var)\s+handle\b\s*(?::[^=]*)?=/.exec(source);
+
+    if (!found) {
+        // export { handle }, export { pageHandle as handle }, re-exports are declared in other modules
+        const listRegex = /export\s*\{([^}]*)\}(\s*from\b)?/g;
+        for (const [, list, isReexport] of source.matchAll(listRegex)) {
+            const item = list.split(',').find((item) => /^(?:[\w$]+\s+as\s+)?handle$/.test(item.trim()));
+            if (item) {
+                if (isReexport) {
+                    return false;
+                }
+                localName = item.trim().split(/\s+as\s+/)[0];
+                break;
+            }
+        }
+
+        found = new RegExp(`\\b(?:const|let|var)\\s+${_.escapeRegExp(localName)}\\b\\s*(?::[^=]*)?=`).exec(source);
+    }
+
+    if (found) {
+        const start = found.index + found[0].length;
+        if (AUTH_KEYS_REGEX.test(source.substring(start, findExpressionEnd(source, start)))) {
+            return true;
+        }
+    }
+
+    // e.g. handle.roles = ['admin']
+    return new RegExp(`\\b${_.escapeRegExp(localName)}\\.(?:auth|roles)\\s*=(?!=)`).test(source);
+}
+
+/**
+ * Find the end of the expression starting at a position of the source, i.e. the position of the semicolon, comma or line
+ * break ending it, or of the bracket closing the one it is in.
+ * Strings, template literals and comments are skipped, regular expression literals are not recognized.
+ * @param {string} source
+ * @param {number} start
+ * @returns {number}
+ */
+function findExpressionEnd(source, start) {
+    let pos = start;
+    let depth = 0;
+
+    // a line break does not end the expression after or before an operator, e.g. "a &&\n b" or "a\n .b()"
+    const continues = () => {
+        const before = source.substring(start, pos).trimEnd();
+        const after = source.substring(pos).trimStart();
+        return before === '' || /[=+\-*/%&|^!?:,.(<>~]$/.test(before) || /^[.?:+\-*/%&|^=<>]/.test(after);
+    };
+
+    while (pos < source.length) {
+        const char = source[pos];
+
+        if (source.startsWith('//', pos) || source.startsWith('/*', pos)) {
+            const end = source.startsWith('//', pos) ? source.indexOf('\n', pos) : source.indexOf('*/', pos) + 2;
+            pos = end < 2 ? source.length : end;
+            continue;
+        }
+
+        if (char === "'" || char === '"' || char === '`') {
+            pos++;
+            while (pos < source.length && source[pos] !== char) {
+                pos += source[pos] === '\\' ? 2 : 1;
+            }
+        } else if ('([{'.includes(char)) {
+            depth++;
+        } else if (')]}'.includes(char)) {
+            if (depth === 0) {
+                return pos;
+            }
+            depth--;
+        } else if (depth === 0 && (char === ';' || char === ',' || (char === '\n' && !continues()))) {
+            return pos;
+        }
+
+        pos++;
+    }
+
+    return pos;
+}
+
+/**
+ * Create a parser of the javascript literal starting at a position of the source.
+ */
+function createLiteralParser(source, start) {
+    let pos = start;
+
+    const fail = (message) => {
+        const line = source.substring(0, pos).split('\n').length;
+        throw new Error(`${message} at line ${line}`);
+    };
+
+    const unexpected = () => fail(`unexpected "${source.substring(pos, pos + 10).split('\n')[0] || 'end of file'}"`);
+
+    // skip whitespaces and comments, stop at line breaks if not multiline
+    const skip = (multiline = true) => {
+        const regex = multiline ? /(?:\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*/y : /(?:[ \t]+|\/\*[^\n]*?\*\/)*/y;
+        regex.lastIndex = pos;
+        regex.exec(source);
+        pos = regex.lastIndex;
+    };
+
+    const eat = (token) => {
+        skip();
+        if (source.startsWith(token, pos)) {
+            pos += token.length;
+            return true;
+        }
+        return false;
+    };
+
+    const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+    function parseString() {
+        const quoteChar = source[pos++];
+        let value = '';
+
+        while (pos < source.length && source[pos] !== quoteChar) {
+            let char = source[pos++];
+
+            if (quoteChar === '`' && char === '$' && source[pos] === '{') {
+                pos--;
+                fail('template literals with expressions are not literals');
+            }
+
+            if (char === '\n' && quoteChar !== '`') {
+                pos--;
+                unexpected();
+            }
+
+            if (char === '\\') {
+                char = source[pos++];
+                if (char === 'u') {
+                    const braced = source[pos] === '{';
+                    const hex = braced ? source.substring(pos + 1, source.indexOf('}', pos)) : source.substring(pos, pos + 4);
+                    pos += braced ? hex.length + 2 : 4;
+                    char = String.fromCodePoint(parseInt(hex, 16));
+                } else if (char === 'x') {
+                    char = String.fromCharCode(parseInt(source.substring(pos, pos + 2), 16));
+                    pos += 2;
+                } else if (char === '\n') {
+                    // line continuation
+                    char = '';
+                } else {
+                    char = ESCAPES[char] ?? char;
+                }
+            }
+
+            value += char;
+        }
+
+        if (source[pos] !== quoteChar) {
+            unexpected();
+        }
+
+        pos++;
+        return value;
+    }
+
+    function parseObject() {
+        const value = {};
+
+        while (!eat('}')) {
+            skip();
+
+            let key;
+            if (source[pos] === "'" || source[pos] === '"') {
+                key = parseString();
+            } else {
+                const regex = /[A-Za-z_$][\w$]*|\d+/y;
+                regex.lastIndex = pos;
+                const [name] = regex.exec(source) || unexpected();
+                pos += name.length;
+                key = name;
+            }
+
+            if (!eat(':')) {
+                // shorthand properties and methods refer to code
+                fail(`"${key}" is not a literal property`);
+            }
+
+            value[key] = parseValue();
+
+            if (!eat(',')) {
+                eat('}') || unexpected();
+                break;
+            }
+        }
+
+        return value;
+    }
+
+    function parseArray() {
+        const value = [];
+
+        while (!eat(']')) {
+            value.push(parseValue());
+
+            if (!eat(',')) {
+                eat(']') || unexpected();
+                break;
+            }
+        }
+
+        return value;
+    }
+
+    function parseValue() {
+        skip();
+        const char = source[pos];
+
+        if (char === '{') {
+            pos++;
+            return parseObject();
+        }
+
+        if (char === '[') {
+            pos++;
+            return parseArray();
+        }
+
+        if (char === "'" || char === '"' || char === '`') {
+            return parseString();
+        }
+
+        const regex =
+            /(?:true|false|null|undefined)(?![\w$])|[-+]?(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*)?\.?\d[\d_]*(?:[eE][-+]?\d+)?)(?![\w$.])/y;
+        regex.lastIndex = pos;
+        const [token] = regex.exec(source) || unexpected();
+        pos += token.length;
+
+        switch (token) {
+            case 'true':
+                return true;
+            case 'false':
+                return false;
+            case 'null':
+                return null;
+            case 'undefined':
+                return undefined;
+            default:
+                // Number() does not parse signed hex, octal or binary literals
+                return token[0] === '-'
+                    ? -Number(token.substring(1).replace(/_/g, ''))
+                    : Number(token.replace(/^\+|_/g, ''));
+        }
+    }
+
+    // the declaration ends with a semicolon or a line break, type assertions are allowed
+    function expectEnd() {
+        skip(false);
+        if (/^(?:as\s+const\b|satisfies\s)/.test(source.substring(pos))) {
+            pos = source.indexOf('\n', pos);
+            pos = pos === -1 ? source.length : pos;
+        }
+        skip(false);
+        if (pos < source.length && !/[;\r\n]/.test(source[pos]) && !source.startsWith('//', pos)) {
+            unexpected();
+        }
+    }
+
+    return { parseValue, expectEnd };
+}
+
+/**
+ * Split a route file name into its base name, extension and lazy flag.
+ * @param {string} name - The file name or relative path.
+ * @param {string[]} extensions - The accepted extensions.
+ * @returns {{ baseName: string, ext: string, isLazy: boolean }|null} null if the name is not a route file.
+ */
+function parseRouteFileName(name, extensions = DEFAULT_EXTENSIONS) {
+    if (name.endsWith('.d.ts')) {
+        return null;
+    }
+
+    // longest first, so that e.g. ".mdx" is never mistaken for a shorter extension
+    const ext = _.sortBy(extensions, (e) => -e.length).find((e) => name.endsWith(e));
+    if (!ext) {
+        return null;
+    }
+
+    let baseName = name.substring(0, name.length - ext.length);
+    const isLazy = baseName.endsWith(LAZY_SUFFIX);
+    if (isLazy) {
+        baseName = baseName.substring(0, baseName.length - LAZY_SUFFIX.length);
+    }
+
+    return { baseName, ext, isLazy };
+}
+
+/**
+ * Generate the route path based on file or directory name.
+ */
+function buildRoutePath(name, parentPath, extensions = DEFAULT_EXTENSIONS) {
+    const parsed = parseRouteFileName(name, extensions);
+
+    // Remove file extension
+    let routeSegment = parsed ? parsed.baseName : name;
+
+    // Handle special files
+    if (routeSegment === 'index') {
+        return parentPath;
+    }
+    if (['_layout', '_error', '_loading', '_guard', '_any', '_notfound'].includes(routeSegment)) {
+        return parentPath;
+    }
+
+    // Route groups, e.g. "(auth)", are kept here to nest their children and stripped from the final paths by tidyRoutes
+
+    // Handle splat routes, must be done before '.' is used as separator
+    routeSegment = routeSegment.replace(new RegExp(NAMED_SPLAT_REGEX, 'g'), '*');
+
+    // Handle optional and parameterized routes
+    routeSegment = routeSegment.replace(/\[\[(.+?)\]\]/g, ':$1?');
+    routeSegment = routeSegment.replace(/\[(.+?)\]/g, ':$1');
+
+    // Handle nested routes using '.'
+    routeSegment = routeSegment.replace(/\./g, '/');
 
     // Build the full route path
-    const fullPath = path.posix.join(parentPath, routeSegment);
-    return fullPath.startsWith('/') ? fullPath : `/${fullPath}`;
+    let fullPath = path.posix.join(parentPath, routeSegment);
+    fullPath = fullPath.startsWith('/') ? fullPath : `/${fullPath}`;
+
+    const splatPos = fullPath.indexOf('*');
+    if (splatPos !== -1 && splatPos !== fullPath.length - 1) {
+        throw new Error(`Splat parameter must be the last segment of a route path. Route: ${fullPath}, File: ${name}`);
+    }
+
+    return fullPath;
+}
+
+const isRouteGroupSegment = (segment) => /^\(.+\)$/.test(segment);
+
+/**
+ * Check if the last segment of a route path is a route group, e.g. "/(auth)".
+ */
+const isRouteGroupPath = (routePath) =>
+    routePath != null && isRouteGroupSegment(routePath.substring(routePath.lastIndexOf('/') + 1));
+
+/**
+ * Remove route group segments from a route path, e.g. "/(auth)/login" -> "/login".
+ */
+function stripRouteGroups(routePath) {
+    const stripped = routePath
+        .split('/')
+        .filter((segment) => !isRouteGroupSegment(segment))
+        .join('/');
+    return stripped === '' && routePath.startsWith('/') ? '/' : stripped;
 }
 
 /**
  * Check if a file should be treated as a route file.
  */
-function isRouteFile(name) {
-    return name.endsWith('.jsx');
+function isRouteFile(name, extensions = DEFAULT_EXTENSIONS) {
+    return parseRouteFileName(name, extensions) != null;
 }
 
 /**
  * Generate a unique component name based on the file path.
  */
-function generateComponentName(relativePath) {
-    let componentName = relativePath
+function generateComponentName(relativePath, extensions = DEFAULT_EXTENSIONS) {
+    const parsed = parseRouteFileName(relativePath, extensions);
+
+    let componentName = (parsed ? parsed.baseName : relativePath)
         .replace(/[\/\\]/g, '_')
-        .replace(/\.lazy_\.jsx$/, '')
-        .replace(/\.jsx$/, '')
-        .replace(/\.js$/, '')
         //.replace(/_any$/, '')
+        .replace(new RegExp(NAMED_SPLAT_REGEX, 'g'), '$1_splat')
+        .replace(/\[\[(.+?)\]\]/g, '$1_optional')
         .replace(/\[(.+?)\]/g, '$1')
         .replace(/[^a-zA-Z0-9_]/g, '');
 
-    componentName = _.camelCase(componentName);
+    componentName = _.upperFirst(_.camelCase(componentName));
+
+    // identifiers can not start with a digit, e.g. "404.jsx"
+    return /^\d/.test(componentName) || componentName === '' ? `Page${componentName}` : componentName;
+}
+
+// marks a route object with the page file it is generated from
+const ROUTE_SOURCE = Symbol('source');
+const CODE = Symbol('code');
+const CODE_LINES = Symbol('codeLines');
+// an identifier spread into an object before its keys
+const SPREAD = Symbol('spread');
+// marks a route to be wrapped by RequireAuth, and a directory route to wrap its routes by a guard
+const GUARD = Symbol('guard');
+const CHILD_GUARD = Symbol('childGuard');
+const INDENT = '    ';
+const PRINT_WIDTH = 120;
+const VLQ_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Wrap a piece of code to be emitted as is, e.g. an identifier or a jsx element.
+ */
+const code = (text) => ({ [CODE]: text });
+
+/**
+ * Wrap lines of code to be emitted as is, the lines after the first are indented as deep as the value.
+ */
+const codeLines = (lines) => ({ [CODE]: lines.join('\n'), [CODE_LINES]: true });
+
+const codeOf = (value) => value[CODE] ?? '';
+
+/**
+ * Quote a string as a single quoted javascript string literal.
+ */
+const quote = (str) => {
+    const json = JSON.stringify(str);
+
+    // the quotes needing less escapes, the same as prettier
+    if (str.split("'").length > str.split('"').length) {
+        return json;
+    }
+
+    return `'${json.slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+};
+
+const isIdentifier = (key) => /^[A-Za-z_$][\w$]*$/.test(key);
+
+/**
+ * Check that routerOptions can be copied into the generated module, functions would lose the variables and imports they
+ * refer to, so they are imported from routerOptionsModule instead.
+ * @param {object} routerOptions
+ */
+function checkRouterOptions(routerOptions) {
+    const check = (value, keyPath) => {
+        if (typeof value === 'function') {
+            throw new Error(
+                `"routerOptions.${keyPath}" is a function, which can not be copied into the generated module, export it from the module of the "routerOptionsModule" option instead.`
+            );
+        }
+
+        if (_.isPlainObject(value) || Array.isArray(value)) {
+            _.each(value, (item, key) =>
+                check(item, Array.isArray(value) ? `${keyPath}[${key}]` : `${keyPath}.${key}`)
+            );
+        }
+    };
+
+    _.each(routerOptions, (value, key) => check(value, key));
+}
+
+/**
+ * Render an import statement of named exports, one name per line when exceeding the print width, the same as prettier.
+ */
+function renderImport(names, from) {
+    const statement = `import { ${names.join(', ')} } from ${quote(from)};`;
+
+    return statement.length > PRINT_WIDTH
+        ? `import {\n${names.map((name) => `${INDENT}${name},\n`).join('')}} from ${quote(from)};\n`
+        : `${statement}\n`;
+}
+
+/**
+ * Create a writer accumulating generated code and the positions of the page files mapped by the source map.
+ */
+function createCodeWriter() {
+    const marks = [];
+    let code = '';
+    let line = 0;
+    let column = 0;
+
+    return {
+        get code() {
+            return code;
+        },
+
+        get column() {
+            return column;
+        },
+
+        write(text) {
+            code += text;
+            const lines = text.split('\n');
+            if (lines.length > 1) {
+                line += lines.length - 1;
+                column = lines[lines.length - 1].length;
+            } else {
+                column += text.length;
+            }
+        },
+
+        mark(source) {
+            marks.push({ line, column, source });
+        },
+
+        toSourceMap() {
+            const sources = _.uniq(marks.map(({ source }) => source));
+            const marksByLine = _.groupBy(marks, 'line');
+            const mappings = [];
+            let prevSourceIndex = 0;
+
+            for (let i = 0; i <= line; i++) {
+                let prevColumn = 0;
+
+                // [generated column, source index, source line, source column], all relative to the previous segment
+                const segments = (marksByLine[i] || []).map(({ column, source }) => {
+                    const sourceIndex = sources.indexOf(source);
+                    const segment = [column - prevColumn, sourceIndex - prevSourceIndex, 0, 0].map(encodeVlq).join('');
+                    prevColumn = column;
+                    prevSourceIndex = sourceIndex;
+                    return segment;
+                });
+
+                mappings.push(segments.join(','));
+            }
+
+            return {
+                version: 3,
+                sources: sources.map((source) => path.resolve(source).replace(/\\/g, '/')),
+                names: [],
+                mappings: mappings.join(';'),
+            };
+        },
+    };
+}
+
+function encodeVlq(value) {
+    let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+    let encoded = '';
+
+    do {
+        let digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq > 0) {
+            digit |= 32;
+        }
+        encoded += VLQ_CHARS[digit];
+    } while (vlq > 0);
+
+    return encoded;
+}
+
+/**
+ * Emit a value of the route tree as javascript, strings are quoted and code wrapped by code() is emitted as is.
+ */
+function emitValue(writer, value, indent = '') {
+    if (value != null && value[CODE] != null) {
+        writer.write(value[CODE_LINES] ? value[CODE].replace(/\n/g, `\n${indent}`) : value[CODE]);
+        return;
+    }
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) {
+            writer.write('[]');
+            return;
+        }
+
+        // arrays of primitives fitting in the line are kept in one line, the same as prettier, e.g. roles of a handle
+        if (value.every((item) => item === null || ['string', 'number', 'boolean'].includes(typeof item))) {
+            const inline = `[${value.map((item) => (typeof item === 'string' ? quote(item) : String(item))).join(', ')}]`;
+            // followed by a comma or semicolon
+            if (writer.column + inline.length + 1 <= PRINT_WIDTH) {
+                writer.write(inline);
+                return;
+            }
+        }
+
+        writer.write('[\n');
+        for (const item of value) {
+            writer.write(indent + INDENT);
+            emitValue(writer, item, indent + INDENT);
+            writer.write(',\n');
+        }
+        writer.write(indent + ']');
+        return;
+    }
+
+    if (_.isPlainObject(value)) {
+        const keys = Object.keys(value).filter((key) => value[key] !== undefined);
+        const source = value[ROUTE_SOURCE];
 
-    return _.upperFirst(componentName);
+        if (source) {
+            writer.mark(source);
+        }
+
+        if (keys.length === 0 && !value[SPREAD]) {
+            writer.write('{}');
+            return;
+        }
+
+        writer.write('{\n');
+        if (value[SPREAD]) {
+            writer.write(`${indent}${INDENT}...${value[SPREAD]},\n`);
+        }
+        for (const key of keys) {
+            writer.write(indent + INDENT);
+            // every property of a route object is mapped back to its page file
+            if (source) {
+                writer.mark(source);
+            }
+            writer.write(`${isIdentifier(key) ? key : quote(key)}: `);
+            emitValue(writer, value[key], indent + INDENT);
+            writer.write(',\n');
+        }
+        writer.write(indent + '}');
+        return;
+    }
+
+    if (typeof value === 'string') {
+        writer.write(quote(value));
+        return;
+    }
+
+    if (typeof value === 'number' || typeof value === 'boolean' || value == null) {
+        writer.write(String(value));
+        return;
+    }
+
+    throw new Error(`Unsupported value in route tree: ${String(value)}`);
 }
 
-const KEY_ORDERS = ['index', 'path', 'element', 'errorElement', 'handle', 'lazy'];
+const KEY_ORDERS = ['id', 'index', 'path', 'element', 'errorElement', 'handle', 'lazy', ...ROUTE_DATA_EXPORTS];
+
+const hasPathlessIndex = (route) =>
+    !route.index &&
+    !('path' in route) &&
+    (route.children || []).some((child) => child.index || hasPathlessIndex(child));
 
 function tidyRoutes(routes, isRoot, parentPath = '/') {
-    if (typeof routes === 'string') return routes;
+    // paths of sub-routes are already relative to their parent
+    const absParentPath = stripRouteGroups(parentPath);
+    const trimL = !isRoot ? 0 : absParentPath === '/' ? 1 : absParentPath.length + 1;
 
     return routes
-        .map((route) => {
+        .flatMap((route) => {
+            if (route[CODE] != null) {
+                // e.g. routes of a sub-router spread into its mount route
+                return route;
+            }
+
+            const isGroup = isRouteGroupPath(route.path);
+
             // reorder properties
-            const orderedRoute = {};
+            const orderedRoute = route[ROUTE_SOURCE] ? { [ROUTE_SOURCE]: route[ROUTE_SOURCE] } : {};
             for (const key of KEY_ORDERS) {
                 if (key in route) {
                     orderedRoute[key] = route[key];
-                    if (!isRoot && key === 'path') {
-                        orderedRoute[key] = trimStart(trimStart(orderedRoute[key], parentPath), '/');
+                    if (key === 'path') {
+                        if (isGroup) {
+                            // route groups are pathless layout routes
+                            delete orderedRoute[key];
+                            continue;
+                        }
+
+                        if (!isRoot) {
+                            orderedRoute[key] = trimStart(trimStart(orderedRoute[key], parentPath), '/');
+                        }
+                        orderedRoute[key] = stripRouteGroups(orderedRoute[key]);
                     }
                 }
             }
 
+            if (isGroup && _.isEmpty(orderedRoute)) {
+                // route group without layout or error element, hoist its children
+                return route.children && route.children.length > 0 ? tidyRoutes(route.children, isRoot, route.path) : [];
+            }
+
             if (route.children && route.children.length > 0) {
-                // for path only routes, move children to parent
-                if (route.children.length === 1 && Object.keys(orderedRoute).length === 1 && 'path' in orderedRoute) {
-                    const [onlyChild] = tidyRoutes(route.children, isRoot, parentPath);
+                // for path only routes, move children to parent, except a route group of a sub-router, as its children
+                // have paths relative to the route
+                const onlyChildren =
+                    route.children.length === 1 &&
+                    Object.keys(orderedRoute).length === 1 &&
+                    'path' in orderedRoute &&
+                    (isRoot || !isRouteGroupPath(route.children[0].path))
+                        ? tidyRoutes(route.children, isRoot, parentPath)
+                        : null;
+
+                if (onlyChildren && onlyChildren.length === 1) {
+                    const [onlyChild] = onlyChildren;
+                    if (hasPathlessIndex(onlyChild)) {
+                        // an index route below a pathless route, e.g. of a guard, still needs the path of the route
+                        orderedRoute.children = onlyChildren;
+                        return orderedRoute;
+                    }
+
                     if (onlyChild.index && orderedRoute.path.indexOf('/') > 0) {
                         delete onlyChild.index;
                         onlyChild.path = orderedRoute.path;
                         return onlyChild;
-                    } 
+                    }
 
                     if (onlyChild.index) {
                         orderedRoute.children = [onlyChild];
                         return orderedRoute;
                     }
                     return onlyChild;
-                } else {                    
+                } else {
                     orderedRoute.children = tidyRoutes(route.children, isRoot, route.path);
                 }
             }
 
             return orderedRoute;
         })
-        .sort((a, b) => {
-            if (a.index) {
-                return -1;
-            }
+        .sort((a, b) => compareRoutes(a, b, trimL));
+}
 
-            if (b.index) {
-                return 1;
-            }
+// specificity of path segments, more specific ones are listed first
+const SEGMENT_RANKS = { static: 0, dynamic: 1, optional: 2, splat: 3 };
 
-            const trimL = parentPath === '/' ? 1 : parentPath.length + 1;
-            let aPath = a.path.substring(trimL);
-            let bPath = b.path.substring(trimL);
+const rankSegment = (segment) =>
+    segment === '*'
+        ? SEGMENT_RANKS.splat
+        : segment.startsWith(':')
+        ? segment.endsWith('?')
+            ? SEGMENT_RANKS.optional
+            : SEGMENT_RANKS.dynamic
+        : SEGMENT_RANKS.static;
 
-            if (aPath.startsWith(':') && !bPath.startsWith(':')) {
-                return 1;
-            }
+/**
+ * Compare sibling routes by specificity, index routes first, then segment by segment static (by name), dynamic, optional
+ * and splat, then shorter paths, then by name, and pathless routes last, so that the order is stable on any machine.
+ * @param {object} a
+ * @param {object} b
+ * @param {number} trimL - The length of the parent path to trim from absolute paths.
+ */
+function compareRoutes(a, b, trimL) {
+    if (a.index || b.index) {
+        return a.index && b.index ? 0 : a.index ? -1 : 1;
+    }
 
-            if (aPath.indexOf(':') !== -1 && bPath.indexOf(':') === -1) {
-                return 1;
-            }
+    if (a.path == null || b.path == null) {
+        if (a.path != null || b.path != null) {
+            return a.path == null ? 1 : -1;
+        }
 
-            if (bPath.startsWith(':') && !aPath.startsWith(':')) {
-                return -1;
-            }
+        return compareStrings(codeOf(a.element || a.lazy || a), codeOf(b.element || b.lazy || b));
+    }
 
-            if (bPath.indexOf(':') !== -1 && aPath.indexOf(':') === -1) {
-                return -1;
-            }
+    const aSegments = a.path.substring(trimL).split('/');
+    const bSegments = b.path.substring(trimL).split('/');
 
-            return 0;
-        });
+    for (let i = 0; i < Math.min(aSegments.length, bSegments.length); i++) {
+        const aRank = rankSegment(aSegments[i]);
+        const diff = aRank - rankSegment(bSegments[i]);
+        if (diff !== 0) {
+            return diff;
+        }
+
+        // keep routes under the same static segment together
+        if (aRank === SEGMENT_RANKS.static && aSegments[i] !== bSegments[i]) {
+            return compareStrings(aSegments[i], bSegments[i]);
+        }
+    }
+
+    if (aSegments.length !== bSegments.length) {
+        return aSegments.length - bSegments.length;
+    }
+
+    return compareStrings(a.path, b.path);
 }
+
+// by code points rather than locale
+const compareStrings = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
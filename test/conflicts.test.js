@@ -0,0 +1,107 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanRoutes, validateRoutes, renderRoutes } from '../index.js';
+import { writeFixture, removeFixture, scanPages, findPage } from './helpers.js';
+
+const page = (name) => `export default function ${name}() {}\n`;
+
+async function scanError(files) {
+    const root = await writeFixture({ '_layout.jsx': page('Layout'), ...files });
+
+    try {
+        await scanRoutes(root);
+        return null;
+    } catch (error) {
+        return error;
+    } finally {
+        await removeFixture(root);
+    }
+}
+
+describe('route conflicts', () => {
+    test('fail with all files mapped to the same route', async () => {
+        const error = await scanError({
+            'a.b.jsx': page('AB'),
+            'a/b.jsx': page('AB2'),
+            'users/[id].jsx': page('User'),
+            'users/[userId].jsx': page('User2'),
+        });
+
+        const [title, ...lines] = error.message.split('\n');
+        assert.equal(title, 'Conflicting route files mapped to the same route:');
+        assert.equal(lines.length, 2);
+        assert.match(lines[0], /^ {2}"\/a\/b": /);
+        assert.ok(lines[0].includes('a.b.jsx"') && lines[0].includes('a/b.jsx"'));
+        // params of different names are the same route
+        assert.match(lines[1], /^ {2}"\/users\/:id": /);
+        assert.ok(lines[1].includes('users/[id].jsx"') && lines[1].includes('users/[userId].jsx"'));
+    });
+
+    test('fail for pages of route groups mapped to the same url', async () => {
+        const error = await scanError({
+            '(auth)/login.jsx': page('Login'),
+            '(main)/login.jsx': page('Login2'),
+        });
+
+        assert.match(error.message, /"\/login": /);
+        assert.ok(error.message.includes('(auth)/login.jsx"') && error.message.includes('(main)/login.jsx"'));
+    });
+
+    test('allow layouts, error elements and pages of the same directory', async () => {
+        const error = await scanError({
+            'users/_layout.jsx': page('UsersLayout'),
+            'users/_error.jsx': page('UsersError'),
+            'users/index.jsx': page('Users'),
+            '(auth)/_layout.jsx': page('AuthLayout'),
+            '(main)/_layout.jsx': page('MainLayout'),
+        });
+
+        assert.equal(error, null);
+    });
+});
+
+describe('component identifiers', () => {
+    test('are renamed when generated the same from different files', async () => {
+        const { routes, warnings } = await scanPages({
+            'user-list.jsx': page('A'),
+            'userlist.jsx': page('B'),
+        });
+
+        // renamed in the order of the files
+        assert.equal(findPage(routes, 'user-list.jsx').element, 'Userlist');
+        assert.equal(findPage(routes, 'userlist.jsx').element, 'Userlist2');
+        assert.ok(
+            warnings.some((warning) =>
+                /"Userlist" of ".*userlist\.jsx" conflicts with ".*user-list\.jsx"/.test(warning)
+            )
+        );
+
+        const code = renderRoutes(routes);
+        assert.match(code, /import \{ Component as Userlist, handle as handleUserlist \}/);
+        assert.match(code, /import \{ Component as Userlist2, handle as handleUserlist2 \}/);
+    });
+
+    test('are renamed when conflicting with the generated module', async () => {
+        const { routes, warnings } = await scanPages({
+            'localeRoute.jsx': page('A'),
+            'redirect.jsx': page('B'),
+        });
+
+        assert.equal(findPage(routes, 'localeRoute.jsx').element, 'LocaleRoute2');
+        assert.equal(findPage(routes, 'redirect.jsx').element, 'Redirect2');
+        assert.ok(warnings.some((warning) => warning.includes('conflicts with the generated module')));
+    });
+
+    test('avoid the reserved names given', async () => {
+        const { routes } = await scanPages({ 'editor.jsx': page('A') }, { reservedNames: ['Editor'] });
+
+        assert.equal(findPage(routes, 'editor.jsx').element, 'Editor2');
+    });
+
+    test('are validated again by validateRoutes', async () => {
+        const { routes } = await scanPages({ 'about.jsx': page('A') });
+
+        assert.equal(validateRoutes(routes, { reservedNames: ['About'] }), routes);
+        assert.equal(findPage(routes, 'about.jsx').element, 'About2');
+    });
+});
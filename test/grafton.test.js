@@ -0,0 +1,149 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import path from 'path';
+import { processGraftonAppConfig } from '../index.js';
+import { writeFixture, removeFixture, captureWarnings } from './helpers.js';
+
+const baseConfig = {
+    app: { name: 'test-app' },
+    i18n: { ns: ['common'], supportedLngs: ['en', 'de', 'cimode'], fallbackLng: 'en' },
+    svgIcons: {},
+    sitemap: { module: 'main', path: '/' },
+};
+
+const editorModule = {
+    enabled: true,
+    mode: 'builtin',
+    importPath: './modules/editor',
+    path: '/editor',
+    defaultRoute: '/workspace',
+};
+
+/**
+ * Run processGraftonAppConfig in an app directory with the editor module.
+ * @returns {Promise<{ result?: object, error?: Error, warnings: string[], root: string }>}
+ */
+async function processApp(files) {
+    const root = await writeFixture({
+        'package.json': { name: 'test-app', type: 'module' },
+        'public/.keep': '',
+        'src/modules/editor/grafton-module.json': {},
+        'src/modules/editor/sitemap.json': { module: 'editor', label: 'Editor' },
+        ...files,
+    });
+    after(() => removeFixture(root));
+
+    const cwd = process.cwd();
+    process.chdir(root);
+
+    try {
+        const { result, warnings } = await captureWarnings(() => processGraftonAppConfig());
+        return { result, warnings, root };
+    } catch (error) {
+        return { error, root };
+    } finally {
+        process.chdir(cwd);
+    }
+}
+
+const getProblems = (error) => error.message.split('\n').slice(1);
+
+describe('processGraftonAppConfig', () => {
+    test('returns the options of the plugin from a valid config', async () => {
+        const { result, error, root } = await processApp({
+            'grafton-app.json': { ...baseConfig, subModules: [{ ...editorModule, auth: true, roles: ['admin'] }] },
+        });
+
+        assert.equal(error, undefined);
+        // options left out are undefined
+        assert.deepEqual(JSON.parse(JSON.stringify(result.subRouters)), {
+            '/editor': { importPath: './modules/editor', defaultRoute: '/workspace', auth: true, roles: ['admin'] },
+        });
+        assert.deepEqual(result.i18nRouting, { languages: ['en', 'de'], defaultLanguage: 'en' });
+        assert.deepEqual(
+            result.moduleSitemaps.map(({ module, path: modulePath }) => [module, modulePath]),
+            [
+                ['main', '/'],
+                ['editor', '/editor'],
+            ]
+        );
+        assert.ok(existsSync(path.join(root, 'src/runtime.config.json')));
+    });
+
+    test('reports all problems at once with suggestions for typos', async () => {
+        const { error } = await processApp({
+            'grafton-app.json': {
+                ...baseConfig,
+                subModules: [
+                    { enabled: true, mdoe: 'builtin', importPath: './modules/editor', path: '/editor' },
+                    { enabled: true, mode: 'bultin', importPath: './modules/editor', path: 'editor2' },
+                    { enabled: 'yes', mode: 'builtin', importPath: './modules/editor', path: '/editor' },
+                ],
+            },
+        });
+
+        assert.match(error.message, /^Invalid grafton config, 6 problem\(s\) found:/);
+        assert.deepEqual(getProblems(error).sort(), [
+            '  - ./grafton-app.json: subModules[0].mdoe is unknown, did you mean "mode"?',
+            '  - ./grafton-app.json: subModules[0].mode is required',
+            '  - ./grafton-app.json: subModules[1].mode "bultin" is not one of "builtin", "package", "assets", "app", did you mean "builtin"?',
+            '  - ./grafton-app.json: subModules[1].path must start with "/"',
+            '  - ./grafton-app.json: subModules[2].enabled expected boolean, got string',
+            '  - ./grafton-app.json: subModules[2].path duplicates the one of subModules[0]',
+        ]);
+    });
+
+    test('reports missing sections and asset sources', async () => {
+        const { svgIcons, ...config } = baseConfig;
+        const { error } = await processApp({
+            'grafton-app.json': {
+                ...config,
+                subModules: [],
+                sitemap: { path: '/' },
+                assets: { 'a.txt': ['missing.txt'] },
+            },
+        });
+
+        assert.deepEqual(getProblems(error).sort(), [
+            '  - ./grafton-app.json: assets["a.txt"] source file is not found',
+            '  - ./grafton-app.json: sitemap.module is required',
+            '  - ./grafton-app.json: svgIcons is required',
+        ]);
+    });
+
+    test('reports problems of the local config against the local config file', async () => {
+        const { error } = await processApp({
+            'grafton-app.json': { ...baseConfig, subModules: [editorModule] },
+            'grafton-app.local.json': { subModules: [{ ...editorModule, isLazzy: true }] },
+        });
+
+        assert.deepEqual(getProblems(error), [
+            '  - ./grafton-app.local.json: subModules[0].isLazzy is unknown, did you mean "isLazy"?',
+        ]);
+    });
+
+    test('reports module sitemaps against the sitemap files before anything is written', async () => {
+        const { error, root } = await processApp({
+            'grafton-app.json': { ...baseConfig, sitemap: { module: 'editor', path: '/' }, subModules: [editorModule] },
+        });
+
+        assert.deepEqual(getProblems(error), [
+            '  - src/modules/editor/sitemap.json: module "editor" duplicates the module name of sitemap.module, or set "module" of subModules[0]',
+        ]);
+        assert.ok(!existsSync(path.join(root, 'public/sitemap.json')));
+        assert.ok(!existsSync(path.join(root, 'src/runtime.config.json')));
+    });
+
+    test('reports sub-modules without a sitemap', async () => {
+        const { error } = await processApp({
+            'grafton-app.json': { ...baseConfig, subModules: [{ ...editorModule, importPath: './modules/viewer' }] },
+            'src/modules/viewer/grafton-module.json': {},
+        });
+
+        assert.match(
+            error.message,
+            /subModules\[0\].*has no "sitemap\.json", which is required for a "builtin" module/
+        );
+    });
+});
@@ -0,0 +1,51 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderRoutes } from '../index.js';
+import { scanPages } from './helpers.js';
+
+const pages = {
+    'admin.jsx': "export const handle = { roles: ['admin'] };\nexport default function Admin() {}\n",
+    'settings.jsx': 'export const handle = { auth: true };\nexport default function Settings() {}\n',
+};
+
+describe('route guards', () => {
+    test('redirects users not signed in to the login page', async () => {
+        const { routes } = await scanPages(pages);
+        const code = renderRoutes(routes, { auth: { useAuth: './auth', pathLogin: '/signin?from=app' } });
+
+        assert.match(code, /^import \{ useAuth \} from '\.\/auth';$/m);
+        assert.match(code, /to: '\/signin\?from=app&returnUrl=' \+ encodeURIComponent\(returnUrl\)/);
+        assert.match(code, /<RequireAuth \/>/);
+        assert.match(code, /<RequireAuth roles=\{\['admin'\]\} \/>/);
+    });
+
+    test('renders a forbidden element with the status of the server response instead of throwing', async () => {
+        const { routes } = await scanPages(pages);
+        const code = renderRoutes(routes, { auth: { useAuth: './auth' } });
+
+        assert.doesNotMatch(code, /throw new Response/);
+        assert.match(code, /const AuthForbidden = \(\) => React\.createElement\('h1', null, 'Forbidden'\);/);
+        assert.match(code, /const dataRouter = React\.useContext\(UNSAFE_DataRouterContext\);/);
+        assert.match(
+            code,
+            /staticContext\.statusCode = 403;\n {8}\}\n {8}return React\.createElement\(AuthForbidden\);/
+        );
+        assert.match(renderRoutes(routes, { auth: { useAuth: './auth' }, server: true }), /statusCode = 403/);
+    });
+
+    test('renders the Forbidden component of the app', async () => {
+        const { routes } = await scanPages(pages);
+        const code = renderRoutes(routes, { auth: { useAuth: './auth', forbidden: './forbidden' } });
+
+        assert.match(code, /^import \{ Forbidden as AuthForbidden \} from '\.\/forbidden';$/m);
+        assert.doesNotMatch(code, /const AuthForbidden/);
+    });
+
+    test('leaves the static context out for routers without data APIs', async () => {
+        const { routes } = await scanPages(pages);
+        const code = renderRoutes(routes, { auth: { useAuth: './auth' }, reactRouterLib: '@xgent/router-lite' });
+
+        assert.doesNotMatch(code, /UNSAFE_DataRouterContext|staticContext/);
+        assert.match(code, /return React\.createElement\(AuthForbidden\);/);
+    });
+});
@@ -0,0 +1,125 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderRoutes } from '../index.js';
+import { scanPages, captureWarnings, findPage } from './helpers.js';
+
+const auth = { useAuth: '/src/auth.js' };
+
+describe('literal handles', () => {
+    test('extracts literal values', async () => {
+        const { routes, warnings } = await scanPages({
+            'about.jsx': `export const handle = {
+    crumb: 'About', // a comment
+    order: -0x10,
+    tags: ["a", \`b\`],
+    meta: { 'og:title': 'It\\'s', hidden: false, none: null },
+} as const;
+
+export default function About() {}
+`,
+        });
+
+        assert.deepEqual(findPage(routes, 'about.jsx').handle, {
+            crumb: 'About',
+            order: -16,
+            tags: ['a', 'b'],
+            meta: { 'og:title': "It's", hidden: false, none: null },
+        });
+        assert.deepEqual(warnings, []);
+    });
+
+    test('reports handles which are not literals', async () => {
+        const { routes, warnings } = await scanPages({
+            'call.jsx': "export const handle = { title: t('Call') };\nexport default function Call() {}\n",
+            'template.jsx': 'export const handle = { title: `${name}` };\nexport default function Template() {}\n',
+            'list.jsx': "const handle = { crumb: 'List' };\nexport { handle };\nexport default function List() {}\n",
+        });
+
+        ['call.jsx', 'template.jsx', 'list.jsx'].forEach((file) => {
+            assert.equal(findPage(routes, file).handle, undefined);
+            assert.ok(warnings.some((warning) => warning.includes(file) && warning.includes('only available after')));
+        });
+    });
+
+    test('leaves pages without a handle alone', async () => {
+        const { routes, warnings } = await scanPages({
+            'plain.jsx': 'const handler = { auth: true };\nexport default function Plain() {}\n',
+        });
+
+        assert.equal(findPage(routes, 'plain.jsx').handle, undefined);
+        assert.equal(findPage(routes, 'plain.jsx').hasDynamicAuth, false);
+        assert.deepEqual(warnings, []);
+    });
+});
+
+describe('handles mentioning auth or roles', () => {
+    test('does not look into the component of a page with a handle which is not a literal', async () => {
+        const { routes } = await scanPages({
+            'profile.jsx': `import { t } from './i18n';
+
+export const handle = { title: t('Profile') };
+
+export default function Profile() {
+    const { auth, user } = useSession();
+    return user.roles;
+}
+`,
+            'settings.jsx': `const handle = {
+    title: t('Settings'),
+};
+
+export default function Settings() {
+    const { auth } = useSession();
+    return auth;
+}
+
+export { handle };
+`,
+        });
+
+        assert.equal(findPage(routes, 'profile.jsx').hasDynamicAuth, false);
+        assert.equal(findPage(routes, 'settings.jsx').hasDynamicAuth, false);
+        const { result } = await captureWarnings(() => renderRoutes(routes, { auth }));
+        assert.ok(!result.includes('RequireAuth'));
+    });
+
+    test('fails when the handle initializer or its properties set auth or roles', async () => {
+        const { routes } = await scanPages({
+            'admin.jsx':
+                "export const handle = makeHandle({\n    roles: ['admin'],\n});\nexport default function Admin() {}\n",
+            'secret.jsx':
+                "export const handle = { title: t('Secret'), auth: true };\nexport default function Secret() {}\n",
+            'assigned.jsx':
+                "const pageHandle = { title: t('A') };\npageHandle.roles = ['admin'];\nexport { pageHandle as handle };\nexport default function A() {}\n",
+        });
+
+        ['admin.jsx', 'secret.jsx', 'assigned.jsx'].forEach((file) => {
+            assert.equal(findPage(routes, file).hasDynamicAuth, true, file);
+        });
+
+        assert.throws(() => renderRoutes(routes, { auth }), /mentions "auth" or "roles" but is not a literal/);
+    });
+
+    test('only warns without the auth option', async () => {
+        const { routes } = await scanPages({
+            'secret.jsx':
+                "export const handle = { title: t('Secret'), auth: true };\nexport default function Secret() {}\n",
+            'admin.jsx': "export const handle = { roles: ['admin'] };\nexport default function Admin() {}\n",
+        });
+
+        const { result, warnings } = await captureWarnings(() => renderRoutes(routes));
+
+        assert.ok(!result.includes('RequireAuth'));
+        assert.ok(warnings.some((warning) => warning.includes('admin.jsx') && warning.includes('not guarded')));
+    });
+
+    test('guards routes with literal auth or roles', async () => {
+        const { routes } = await scanPages({
+            'admin.jsx': "export const handle = { roles: ['admin'] };\nexport default function Admin() {}\n",
+        });
+
+        const code = renderRoutes(routes, { auth });
+
+        assert.match(code, /RequireAuth roles=\{\['admin'\]\}/);
+    });
+});
@@ -0,0 +1,102 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { after } from 'node:test';
+import generateRoutesPlugin, { scanRoutes } from '../index.js';
+
+/**
+ * Write a directory tree into a temporary directory.
+ * @param {object} files - Relative file paths mapped to their content.
+ * @returns {Promise<string>} The temporary directory.
+ */
+export async function writeFixture(files) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'file-routes-'));
+
+    await Promise.all(
+        Object.entries(files).map(async ([file, content]) => {
+            const fullPath = path.join(root, file);
+            await fs.mkdir(path.dirname(fullPath), { recursive: true });
+            await fs.writeFile(fullPath, typeof content === 'string' ? content : JSON.stringify(content));
+        })
+    );
+
+    return root;
+}
+
+export const removeFixture = (root) => fs.rm(root, { recursive: true, force: true });
+
+/**
+ * Run a function with console.warn captured.
+ * @returns {Promise<{ result: any, warnings: string[] }>}
+ */
+export async function captureWarnings(fn) {
+    const warnings = [];
+    const { warn } = console;
+    console.warn = (message) => warnings.push(String(message));
+
+    try {
+        return { result: await fn(), warnings };
+    } finally {
+        console.warn = warn;
+    }
+}
+
+/**
+ * Find a page in a route tree from scanRoutes by its file, relative to the pages directory.
+ */
+export function findPage(routes, file) {
+    for (const route of routes) {
+        if (route.file === file || route.file?.endsWith(`/${file}`)) {
+            return route;
+        }
+        const found = route.children && findPage(route.children, file);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Scan pages written into a temporary directory with a root layout, removed after the tests of the file.
+ * @param {object} files - Page files relative to the pages directory mapped to their content.
+ * @param {object} [options] - Options of scanRoutes.
+ * @returns {Promise<{ routes: Array, warnings: string[], root: string }>}
+ */
+export async function scanPages(files, options) {
+    const root = await writeFixture({ '_layout.jsx': 'export default function Layout() {}\n', ...files });
+    after(() => removeFixture(root));
+
+    const { result, warnings } = await captureWarnings(() => scanRoutes(root, options));
+    return { routes: result, warnings, root };
+}
+
+/**
+ * Run the build hooks of the plugin in a temporary app directory, the generated files are left in it.
+ * @param {object} files - App files relative to the app directory mapped to their content.
+ * @param {object} options - Options of the plugin, the pages are in `src/pages` by default.
+ * @returns {Promise<{ error?: Error, assets: object, root: string }>} The emitted assets keyed by file name.
+ */
+export async function buildApp(files, options) {
+    const root = await writeFixture({ 'src/pages/_layout.jsx': 'export default function Layout() {}\n', ...files });
+    after(() => removeFixture(root));
+
+    const cwd = process.cwd();
+    const { log } = console;
+    const assets = {};
+    process.chdir(root);
+    console.log = () => {};
+
+    try {
+        const plugin = generateRoutesPlugin(options);
+        plugin.configResolved({ command: 'build', base: '/', publicDir: path.resolve('public'), build: {} });
+        await plugin.buildStart();
+        plugin.generateBundle.call({ emitFile: ({ fileName, source }) => (assets[fileName] = source) });
+        return { assets, root };
+    } catch (error) {
+        return { error, assets, root };
+    } finally {
+        console.log = log;
+        process.chdir(cwd);
+    }
+}
@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { buildApp } from './helpers.js';
+
+const grafton = {
+    'node_modules/@xgent/grafton/dist/locales/en/grafton.json': { save: 'Save', menu: { file: 'File' } },
+    'node_modules/@xgent/grafton/dist/locales/de/grafton.json': { save: 'Speichern' },
+};
+
+const copy = ['node_modules/@xgent/grafton/dist'];
+
+const getAsset = (assets, key) => JSON.parse(assets[`locales/${key}.json`]);
+
+describe('locales of sub-modules', () => {
+    test('are emitted per language and namespace', async () => {
+        const { error, assets } = await buildApp(
+            {
+                ...grafton,
+                'src/modules/editor/locales/en.json': { title: 'Editor' },
+                'src/modules/editor/locales/de.json': { title: 'Editor' },
+            },
+            { i18nResources: { copy, extract: [{ editor: 'src/modules/editor/locales' }], ns: ['common'] } }
+        );
+
+        assert.equal(error, undefined);
+        assert.deepEqual(Object.keys(assets).sort(), [
+            'locales/de/editor.json',
+            'locales/de/grafton.json',
+            'locales/en/editor.json',
+            'locales/en/grafton.json',
+        ]);
+        assert.deepEqual(getAsset(assets, 'en/grafton'), { save: 'Save', menu: { file: 'File' } });
+        assert.deepEqual(getAsset(assets, 'de/editor'), { title: 'Editor' });
+    });
+
+    test('merge a namespace provided by several sub-modules', async () => {
+        const { error, assets } = await buildApp(
+            {
+                ...grafton,
+                'node_modules/@xgent/charts/locales/en/grafton.json': { menu: { chart: 'Chart' }, save: 'Save' },
+            },
+            { i18nResources: { copy: [...copy, 'node_modules/@xgent/charts'] } }
+        );
+
+        assert.equal(error, undefined);
+        // keys of the same value are no conflict
+        assert.deepEqual(getAsset(assets, 'en/grafton'), { save: 'Save', menu: { file: 'File', chart: 'Chart' } });
+    });
+
+    test('fail on nested keys of different values from different sub-modules', async () => {
+        const { error } = await buildApp(
+            { ...grafton, 'node_modules/@xgent/charts/locales/en/grafton.json': { menu: { file: 'Datei' } } },
+            { i18nResources: { copy: [...copy, 'node_modules/@xgent/charts'] } }
+        );
+
+        assert.equal(
+            error.message,
+            'Key "menu.file" of the i18n namespace "grafton" (en) is defined by both ' +
+                '"node_modules/@xgent/grafton/dist" and "node_modules/@xgent/charts".'
+        );
+    });
+
+    test('fail on a namespace of the app', async () => {
+        const { error } = await buildApp(
+            { ...grafton, 'public/locales/en/grafton.json': { save: 'Save' } },
+            { i18nResources: { copy, ns: ['grafton'] } }
+        );
+
+        const errors = error.message.split('\n');
+        assert.equal(errors.length, 2);
+        assert.equal(
+            errors.find((message) => message.includes('(en)')),
+            'The i18n namespace "grafton" (en) of "node_modules/@xgent/grafton/dist" conflicts with the one of the app ' +
+                `in "${path.join('public', 'locales', 'en', 'grafton.json')}", rename either of them.`
+        );
+        // in the ns list only
+        assert.equal(
+            errors.find((message) => message.includes('(de)')),
+            'The i18n namespace "grafton" (de) of "node_modules/@xgent/grafton/dist" conflicts with the one of the app, ' +
+                'rename either of them.'
+        );
+    });
+
+    test('fail on invalid locale files and missing directories', async () => {
+        const invalid = await buildApp(
+            { 'src/modules/editor/locales/en.json': '{ "title": ' },
+            { i18nResources: { extract: [{ editor: 'src/modules/editor/locales' }] } }
+        );
+        assert.match(invalid.error.message, /^Invalid locale file "src\/modules\/editor\/locales\/en\.json": /);
+
+        const missing = await buildApp({}, { i18nResources: { extract: [{ editor: 'src/modules/editor/locales' }] } });
+        assert.equal(
+            missing.error.message,
+            'The locales directory "src/modules/editor/locales" of the i18n namespace "editor" is not found.'
+        );
+    });
+
+    test('update the i18n namespaces of the runtime config to the ones served', async () => {
+        const { error, root } = await buildApp(
+            { ...grafton, 'src/runtime.config.json': { i18n: { ns: ['common', 'stale'], fallbackLng: 'en' } } },
+            { i18nResources: { copy: [...copy, 'node_modules/@xgent/empty'], ns: ['common'] } }
+        );
+
+        assert.equal(error, undefined);
+        const runtimeConfig = JSON.parse(await fs.readFile(path.join(root, 'src/runtime.config.json'), 'utf-8'));
+        // a package without locale files is left out
+        assert.deepEqual(runtimeConfig.i18n, { ns: ['common', 'grafton'], fallbackLng: 'en' });
+    });
+});
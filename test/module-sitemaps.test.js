@@ -0,0 +1,75 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildApp } from './helpers.js';
+
+const page = (name) => `export default function ${name}() {}\n`;
+
+const pages = {
+    'src/pages/index.jsx': page('Home'),
+    'src/pages/editor/workspace.jsx': page('Workspace'),
+    'src/pages/editor/projects/index.jsx': page('Projects'),
+    'src/pages/editor/projects/[id].jsx': page('Project'),
+    'src/pages/_notfound.jsx': page('NotFound'),
+};
+
+const buildWithSitemaps = (moduleSitemaps) => buildApp(pages, { moduleSitemaps });
+
+const getErrors = (error) => error.message.split('\n');
+
+describe('module sitemaps', () => {
+    test('pass with links to pages relative to the module path or under it', async () => {
+        const { error } = await buildWithSitemaps([
+            { module: 'main', path: '/' },
+            {
+                module: 'editor',
+                path: '/editor',
+                defaultPage: '/workspace',
+                children: [
+                    { label: 'Projects', path: '/editor/projects', children: [{ label: 'One', path: '/projects/1' }] },
+                    // a group without a page
+                    { label: 'Help', children: [] },
+                ],
+            },
+        ]);
+
+        assert.equal(error, undefined);
+    });
+
+    test('fail on dead links with their json paths', async () => {
+        const { error } = await buildWithSitemaps([
+            {
+                module: 'editor',
+                path: '/editor',
+                defaultPage: '/start',
+                children: [{ label: 'Projects', path: '/projects', children: [{ label: 'Old', path: '/archive' }] }],
+            },
+        ]);
+
+        assert.deepEqual(getErrors(error), [
+            'Dead link "/start" at defaultPage of the sitemap of module "editor", it matches no route.',
+            'Dead link "/archive" at children[0].children[0].path of the sitemap of module "editor", it matches no route.',
+        ]);
+    });
+
+    test('fail on a module path with no pages', async () => {
+        const { error } = await buildWithSitemaps([{ module: 'shop', path: '/shop' }]);
+
+        assert.deepEqual(getErrors(error), ['Path "/shop" of the sitemap of module "shop" has no pages.']);
+    });
+
+    test('treat a link to the not found page as a dead link', async () => {
+        const { error } = await buildWithSitemaps([
+            { module: 'main', path: '/', children: [{ label: 'Missing', path: '/missing' }] },
+        ]);
+
+        assert.match(error.message, /^Dead link "\/missing" at children\[0\]\.path of the sitemap of module "main"/);
+    });
+
+    test('skip micro-apps linked by url', async () => {
+        const { error } = await buildWithSitemaps([
+            { module: 'reports', url: 'https://reports.example.com', defaultPage: '/missing' },
+        ]);
+
+        assert.equal(error, undefined);
+    });
+});
@@ -0,0 +1,46 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanRoutes, renderRoutes } from '../index.js';
+import { writeFixture, removeFixture, findPage } from './helpers.js';
+
+const files = {
+    '_layout.jsx': 'export default function Layout() {}\n',
+    'index.jsx': 'export default function Home() {}\n',
+    '_notfound.jsx': 'export default function NotFound() {}\n',
+    'docs/_notfound.jsx': 'export default function DocsNotFound() {}\n',
+};
+
+describe('_notfound pages', () => {
+    test('are rendered as not found by the id prefix, wherever the pages directory is', async () => {
+        const root = await writeFixture(files);
+        const cwd = process.cwd();
+        after(() => removeFixture(root));
+
+        // the pages directory as the cwd root
+        process.chdir(root);
+        let routes;
+        try {
+            routes = await scanRoutes(root);
+        } finally {
+            process.chdir(cwd);
+        }
+
+        assert.equal(routes.find((route) => route.isNotFound).id, '_notfound:.');
+        assert.equal(findPage(routes, 'docs/_notfound.jsx').id, '_notfound:docs');
+
+        const code = renderRoutes(routes, { server: true });
+        assert.match(code, /id: '_notfound:\.',/);
+        assert.match(code, /leafRoute\?\.id\?\.startsWith\('_notfound:'\)\) \{\n {8}context\.statusCode = 404;/);
+    });
+
+    test('have ids unique per directory', async () => {
+        const root = await writeFixture(files);
+        after(() => removeFixture(root));
+
+        const routes = await scanRoutes(root);
+        const ids = [routes.find((route) => route.isNotFound).id, findPage(routes, 'docs/_notfound.jsx').id];
+
+        assert.ok(ids.every((id) => id.startsWith('_notfound:')));
+        assert.notEqual(ids[0], ids[1]);
+    });
+});
@@ -0,0 +1,46 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import generateRoutesPlugin, { getPrerenderFile } from '../index.js';
+
+describe('getPrerenderFile', () => {
+    test('renders the root into index.html', () => {
+        assert.equal(getPrerenderFile('/'), 'index.html');
+    });
+
+    test('renders pages into the index.html of their path', () => {
+        assert.equal(getPrerenderFile('/blog/hello-world'), path.join('blog', 'hello-world', 'index.html'));
+    });
+
+    test('decodes params into file names', () => {
+        assert.equal(getPrerenderFile('/blog/a%20b'), path.join('blog', 'a b', 'index.html'));
+        assert.equal(getPrerenderFile('/blog/%C3%BCber'), path.join('blog', 'über', 'index.html'));
+        assert.equal(getPrerenderFile('/docs/guide/%E2%9C%93'), path.join('docs', 'guide', '✓', 'index.html'));
+    });
+
+    test('rejects params decoding to path separators or parent directories', () => {
+        assert.equal(getPrerenderFile('/blog/a%2Fb'), null);
+        assert.equal(getPrerenderFile('/blog/a%5Cb'), null);
+        assert.equal(getPrerenderFile('/blog/..'), null);
+        assert.equal(getPrerenderFile('/blog/%2E%2E'), null);
+        assert.equal(getPrerenderFile('/blog/.'), null);
+    });
+});
+
+describe('prerender hooks', () => {
+    test('render pages once the build is written, not when the bundle is closed', async () => {
+        const plugin = generateRoutesPlugin({ prerender: true, sitemap: true, siteUrl: 'https://example.com' });
+        plugin.configResolved({ command: 'build', build: { ssr: false, outDir: 'dist' }, root: process.cwd() });
+
+        // plugins exiting the process in closeBundle, e.g. ClosePlugin, would end it before the pages are written
+        assert.equal(typeof plugin.writeBundle, 'function');
+        assert.equal(await plugin.closeBundle(), undefined);
+    });
+
+    test('skip ssr builds', async () => {
+        const plugin = generateRoutesPlugin({ prerender: true });
+        plugin.configResolved({ command: 'build', build: { ssr: true, outDir: 'dist' }, root: process.cwd() });
+
+        assert.equal(await plugin.writeBundle(), undefined);
+    });
+});
@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderRoutes } from '../index.js';
+import { scanPages } from './helpers.js';
+
+const page = 'export default function Page() {}\n';
+
+// the paths of the route objects in the order they are generated, index routes as "index"
+const getRouteOrder = (code) =>
+    [...code.substring(code.indexOf('const routes = ')).matchAll(/^ +(?:path: '([^']*)'|index: (true))/gm)].map(
+        ([, routePath]) => routePath ?? 'index'
+    );
+
+describe('route ranking', () => {
+    test('sorts siblings by specificity: index, static by name, dynamic, optional, then splat', async () => {
+        const { routes } = await scanPages({
+            '_any.jsx': page,
+            '[[lang]].jsx': page,
+            '[id].jsx': page,
+            'zoo.jsx': page,
+            'about.jsx': page,
+            'index.jsx': page,
+            'blog.[...rest].jsx': page,
+        });
+
+        assert.deepEqual(getRouteOrder(renderRoutes(routes)), [
+            '/',
+            'index',
+            '/about',
+            '/blog/*',
+            '/zoo',
+            '/:id',
+            '/:lang?',
+            '/*',
+        ]);
+    });
+
+    test('ranks nested routes segment by segment, shorter paths first', async () => {
+        const { routes } = await scanPages({
+            'users/index.jsx': page,
+            'users/[id].edit.jsx': page,
+            'users/[id].jsx': page,
+            'users/new.jsx': page,
+            'users/[id].[tab].jsx': page,
+        });
+
+        assert.deepEqual(getRouteOrder(renderRoutes(routes)), [
+            '/',
+            '/users',
+            'index',
+            '/users/new',
+            '/users/:id',
+            '/users/:id/edit',
+            '/users/:id/:tab',
+        ]);
+    });
+
+    test('keeps pathless route groups after the routes with paths', async () => {
+        const { routes } = await scanPages({
+            '(auth)/_layout.jsx': page,
+            '(auth)/login.jsx': page,
+            'about.jsx': page,
+            '[slug].jsx': page,
+        });
+
+        const order = getRouteOrder(renderRoutes(routes));
+        assert.deepEqual(order.slice(0, 3), ['/', '/about', '/:slug']);
+        assert.ok(order.includes('/login'));
+    });
+
+    test('is the same whatever the order of the files', async () => {
+        const files = ['b.jsx', 'a.jsx', '[x].jsx', 'c/[y].jsx', 'c/index.jsx', '_any.jsx'];
+        const render = async (names) =>
+            getRouteOrder(
+                renderRoutes((await scanPages(Object.fromEntries(names.map((name) => [name, page])))).routes)
+            );
+
+        assert.deepEqual(await render(files), await render([...files].reverse()));
+    });
+});
@@ -0,0 +1,62 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderRoutes } from '../index.js';
+import { scanPages } from './helpers.js';
+
+const pages = {
+    'index.jsx': 'export default function Home() {}\n',
+    'docs/[...rest].jsx': 'export default function Docs() {}\n',
+};
+
+const DATA_ROUTER_HELPERS = ['matchRoutes', 'matchPath', 'useParams', 'useMatches'];
+
+const getImports = (code, from) =>
+    [...code.matchAll(/import \{([^}]*)\} from '([^']+)';/g)]
+        .filter(([, , lib]) => lib === from)
+        .flatMap(([, names]) => names.split(',').map((name) => name.trim()))
+        .filter(Boolean);
+
+describe('reactRouterLib', () => {
+    test('imports the helpers of prefetchRoute and useRouteParams from data routers', async () => {
+        const { routes } = await scanPages(pages);
+        const code = renderRoutes(routes);
+
+        assert.deepEqual(getImports(code, 'react-router-dom'), [
+            'createBrowserRouter',
+            ...DATA_ROUTER_HELPERS,
+            'Navigate',
+        ]);
+        assert.match(code, /export const prefetchRoute = /);
+        assert.match(code, /export const useRouteParams = /);
+    });
+
+    test('leaves the data router helpers out for @xgent/router-lite', async () => {
+        const { routes } = await scanPages(pages);
+        const code = renderRoutes(routes, { reactRouterLib: '@xgent/router-lite' });
+
+        assert.deepEqual(getImports(code, '@xgent/router-lite'), ['createBrowserRouter', 'Navigate']);
+        DATA_ROUTER_HELPERS.forEach((name) => assert.doesNotMatch(code, new RegExp(`\\b${name}\\(`)));
+        assert.doesNotMatch(code, /prefetchRoute|useRouteParams|loadLazyRoutes/);
+        assert.match(code, /export const lazyRouting = /);
+    });
+
+    test('keeps matchRoutes for the sentry integration', async () => {
+        const { routes } = await scanPages(pages);
+        const code = renderRoutes(routes, { reactRouterLib: '@xgent/router-lite', enableSentry: true });
+
+        assert.ok(getImports(code, '@xgent/router-lite').includes('matchRoutes'));
+    });
+
+    test('rejects i18nRouting for @xgent/router-lite', async () => {
+        const { routes } = await scanPages(pages);
+
+        assert.throws(
+            () =>
+                renderRoutes(routes, {
+                    reactRouterLib: '@xgent/router-lite',
+                    i18nRouting: { languages: ['en', 'de'], defaultLanguage: 'en' },
+                }),
+            /"i18nRouting" option is not supported by "@xgent\/router-lite"/
+        );
+    });
+});
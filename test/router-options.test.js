@@ -0,0 +1,65 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderRoutes } from '../index.js';
+import { scanPages } from './helpers.js';
+
+const pages = { 'index.jsx': 'export default function Home() {}\n' };
+
+describe('routerOptions', () => {
+    test('copies literal options into the generated module', async () => {
+        const { routes } = await scanPages(pages);
+        const code = renderRoutes(routes, {
+            routerOptions: { basename: '/portal', future: { v7_relativeSplatPath: true }, hydrationData: null },
+        });
+
+        assert.match(
+            code,
+            /const routerOptions = \{\n    basename: '\/portal',\n    future: \{\n        v7_relativeSplatPath: true,\n    \},\n    hydrationData: null,\n    patchRoutesOnNavigation: lazyRouting,\n\};/
+        );
+    });
+
+    test('rejects functions, which would lose the variables they refer to', async () => {
+        const { routes } = await scanPages(pages);
+        const helper = () => null;
+
+        assert.throws(
+            () => renderRoutes(routes, { routerOptions: { dataStrategy: async () => helper() } }),
+            /"routerOptions\.dataStrategy" is a function.*"routerOptionsModule"/
+        );
+        assert.throws(
+            () => renderRoutes(routes, { routerOptions: { future: { hooks: [() => null] } } }),
+            /"routerOptions\.future\.hooks\[0\]" is a function/
+        );
+        assert.throws(
+            () => renderRoutes(routes, { routerOptions: { dataStrategy() {} }, exportRoutesOnly: true }),
+            /is a function/
+        );
+    });
+
+    test('spreads the default export of routerOptionsModule into the options', async () => {
+        const { routes } = await scanPages(pages);
+        const code = renderRoutes(routes, {
+            routerOptions: { basename: '/portal' },
+            routerOptionsModule: './router.options',
+        });
+
+        assert.match(code, /^import moduleRouterOptions from '\.\/router\.options';$/m);
+        assert.match(
+            code,
+            /const routerOptions = \{\n    \.\.\.moduleRouterOptions,\n    basename: '\/portal',\n    patchRoutesOnNavigation: lazyRouting,\n\};/
+        );
+    });
+
+    test('does not import routerOptionsModule without a router to create', async () => {
+        const { routes } = await scanPages(pages);
+
+        assert.doesNotMatch(
+            renderRoutes(routes, { routerOptionsModule: './router.options', exportRoutesOnly: true }),
+            /moduleRouterOptions/
+        );
+        assert.doesNotMatch(
+            renderRoutes(routes, { routerOptionsModule: './router.options', server: true }),
+            /moduleRouterOptions/
+        );
+    });
+});
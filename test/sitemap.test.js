@@ -0,0 +1,29 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import generateRoutesPlugin from '../index.js';
+import { captureWarnings } from './helpers.js';
+
+async function getMountPaths(base) {
+    const plugin = generateRoutesPlugin({ sitemap: true, siteUrl: 'https://example.com' });
+    const mountPaths = [];
+
+    plugin.configResolved({ command: 'serve', base, build: {} });
+    await captureWarnings(() =>
+        plugin.configureServer({
+            config: { plugins: [] },
+            middlewares: { use: (mountPath) => mountPaths.push(mountPath) },
+        })
+    );
+
+    return mountPaths;
+}
+
+describe('dev sitemap', () => {
+    test('is served at the root by default', async () => {
+        assert.deepEqual(await getMountPaths('/'), ['/sitemap.xml']);
+    });
+
+    test('is served under base, the same as the build output', async () => {
+        assert.deepEqual(await getMountPaths('/portal/'), ['/portal/sitemap.xml']);
+    });
+});
@@ -0,0 +1,98 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { renderRoutes } from '../index.js';
+import { scanPages } from './helpers.js';
+
+const uniq = (items) => [...new Set(items)];
+
+const VLQ_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function decodeVlqs(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of segment) {
+        const digit = VLQ_CHARS.indexOf(char);
+        value += (digit & 31) << shift;
+        shift += 5;
+
+        if ((digit & 32) === 0) {
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = 0;
+            shift = 0;
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Decode the mappings of a source map into the sources of the generated lines, by line.
+ */
+function decodeMappings(map) {
+    let sourceIndex = 0;
+
+    return map.mappings.split(';').map((line) => {
+        let column = 0;
+
+        return line
+            .split(',')
+            .filter(Boolean)
+            .map((segment) => {
+                const [columnDiff, sourceDiff, sourceLine, sourceColumn] = decodeVlqs(segment);
+                column += columnDiff;
+                sourceIndex += sourceDiff;
+                return { column, source: map.sources[sourceIndex], sourceLine, sourceColumn };
+            });
+    });
+}
+
+describe('source maps', () => {
+    test('map the imports and route objects back to the page files', async () => {
+        const { routes, root } = await scanPages({
+            'about.jsx': 'export default function About() {}\n',
+            'users/[id].lazy_.jsx': 'export default function User() {}\n',
+        });
+
+        const { code, map } = renderRoutes(routes, { sourceMap: true });
+        const lines = code.split('\n');
+        const mappings = decodeMappings(map);
+        const aboutFile = path.resolve(root, 'about.jsx').replace(/\\/g, '/');
+        const userFile = path.resolve(root, 'users/[id].lazy_.jsx').replace(/\\/g, '/');
+
+        assert.equal(map.version, 3);
+        assert.deepEqual(map.names, []);
+        assert.equal(mappings.length, lines.length);
+        assert.ok(map.sources.includes(aboutFile) && map.sources.includes(userFile));
+
+        const sourcesOf = (predicate) =>
+            lines.flatMap((line, i) => (predicate(line) ? mappings[i].map(({ source }) => source) : []));
+
+        assert.deepEqual(uniq(sourcesOf((line) => line.startsWith('import { Component as About,'))), [aboutFile]);
+        assert.deepEqual(uniq(sourcesOf((line) => line.includes("path: '/about'"))), [aboutFile]);
+        assert.deepEqual(uniq(sourcesOf((line) => line.includes("path: '/users/:id'"))), [userFile]);
+        assert.deepEqual(uniq(sourcesOf((line) => /const lazyUsersId = /.test(line))), [userFile]);
+    });
+
+    test('map every segment to the first line of its page file', async () => {
+        const { routes } = await scanPages({ 'about.jsx': 'export default function About() {}\n' });
+        const { map } = renderRoutes(routes, { sourceMap: true });
+
+        decodeMappings(map)
+            .flat()
+            .forEach(({ source, sourceLine, sourceColumn }) => {
+                assert.ok(source);
+                assert.equal(sourceLine, 0);
+                assert.equal(sourceColumn, 0);
+            });
+    });
+
+    test('return the code only without sourceMap', async () => {
+        const { routes } = await scanPages({ 'about.jsx': 'export default function About() {}\n' });
+
+        assert.equal(typeof renderRoutes(routes), 'string');
+        assert.equal(renderRoutes(routes), renderRoutes(routes, { sourceMap: true }).code);
+    });
+});